@@ -0,0 +1,216 @@
+import { useCallback, useEffect, useState } from 'react';
+import { CheckIcon, CopyIcon, KeyRoundIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { supabase } from '../lib/supabase';
+import { createApiToken } from '../lib/utils';
+
+const inputClassName = 'flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : 'never';
+}
+
+// Creates and revokes personal access tokens for the /api/v1 REST API
+export default function ApiTokens() {
+  const { user } = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [name, setName] = useState('');
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('api_tokens')
+        .select('id, name, token_prefix, created_at, last_used_at, revoked_at')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setTokens(data || []);
+    } catch (error) {
+      console.error('Error loading access tokens:', error);
+      setError('Failed to load access tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const createToken = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setBusy(true);
+    setError('');
+    setCopied(false);
+
+    try {
+      const { token, apiToken } = await createApiToken(name.trim());
+      setTokens(prev => [apiToken, ...prev]);
+      setNewToken(token);
+      setName('');
+    } catch (error) {
+      console.error('Error creating access token:', error);
+      setError(error.message || 'Failed to create access token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying token:', error);
+      setError('Could not copy the token');
+    }
+  };
+
+  const revokeToken = async (id) => {
+    setError('');
+
+    try {
+      const { data, error } = await supabase
+        .from('api_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .select('id, name, token_prefix, created_at, last_used_at, revoked_at');
+
+      if (error) throw error;
+      setTokens(prev => prev.map(token => (token.id === id ? data[0] : token)));
+    } catch (error) {
+      console.error('Error revoking access token:', error);
+      setError('Failed to revoke access token');
+    }
+  };
+
+  const deleteToken = async (id) => {
+    setError('');
+
+    try {
+      const { error } = await supabase
+        .from('api_tokens')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      setTokens(prev => prev.filter(token => token.id !== id));
+    } catch (error) {
+      console.error('Error deleting access token:', error);
+      setError('Failed to delete access token');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">API Access Tokens</h2>
+
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+        Scripts and other tools can use the REST API at <code className="text-xs">/api/v1</code> with a token:
+        {' '}<code className="text-xs">Authorization: Bearer &lt;token&gt;</code>. A token can read and change all of your bookmarks, so keep it secret and revoke it when it&apos;s no longer needed.
+      </p>
+
+      <form onSubmit={createToken} className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Token name, e.g. backup script"
+          maxLength={100}
+          className={inputClassName}
+          disabled={busy}
+          aria-label="Token name"
+        />
+        <button
+          type="submit"
+          disabled={busy || !name.trim()}
+          className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors"
+        >
+          <KeyRoundIcon size={14} />
+          {busy ? 'Creating...' : 'Create token'}
+        </button>
+      </form>
+
+      {newToken && (
+        <div className="mt-4 p-3 rounded-lg border border-green-200 dark:border-green-800 bg-green-50 dark:bg-green-900/30">
+          <p className="text-sm text-green-800 dark:text-green-200 mb-2">
+            Copy your new token now. It won&apos;t be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 truncate text-xs bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 px-2 py-1 rounded">
+              {newToken}
+            </code>
+            <button
+              onClick={copyToken}
+              className="text-sm text-blue-600 hover:text-blue-500 dark:text-blue-400 flex items-center gap-1"
+            >
+              {copied ? <CheckIcon size={14} /> : <CopyIcon size={14} />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button
+              onClick={() => setNewToken(null)}
+              className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-6">
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Your tokens</h3>
+        {loading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : tokens.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">You haven&apos;t created any tokens yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+            {tokens.map(token => (
+              <li key={token.id} className="p-3 flex flex-wrap items-center gap-3">
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {token.name}
+                    <code className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{token.token_prefix}...</code>
+                    {token.revoked_at && (
+                      <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">revoked</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Created {formatDate(token.created_at)} · Last used {formatDate(token.last_used_at)}
+                  </p>
+                </div>
+                {token.revoked_at ? (
+                  <button
+                    onClick={() => deleteToken(token.id)}
+                    className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                  >
+                    Remove
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => revokeToken(token.id)}
+                    className="text-sm text-red-600 hover:text-red-500 dark:text-red-400"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {error && (
+        <p className="mt-4 text-red-600 dark:text-red-400 text-sm">{error}</p>
+      )}
+    </div>
+  );
+}
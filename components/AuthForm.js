@@ -1,19 +1,45 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import {
+  ENABLED_OAUTH_PROVIDERS, MAGIC_LINK_ENABLED, MIN_PASSWORD_LENGTH, OAUTH_PROVIDERS, PASSWORD_ENABLED, authErrorFromUrl,
+} from '../lib/auth';
 import { MoonIcon, SunIcon } from 'lucide-react';
 
+// What the form is for: its heading and submit button
+const MODES = {
+  signIn: { title: 'Sign in to your account', submit: 'Sign in' },
+  signUp: { title: 'Create your account', submit: 'Sign up' },
+  magicLink: { title: 'Sign in with a link', submit: 'Email me a sign-in link' },
+  forgotPassword: { title: 'Reset your password', submit: 'Email me a reset link' },
+};
+
+const linkButtonClassName = 'text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 text-sm transition-colors';
+
 export default function AuthForm() {
-  const [isLogin, setIsLogin] = useState(true);
+  // Without passwords, the email form sends magic links (or is hidden when only OAuth is on)
+  const [mode, setMode] = useState(PASSWORD_ENABLED ? 'signIn' : MAGIC_LINK_ENABLED ? 'magicLink' : null);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [message, setMessage] = useState('');
 
-  const { signIn, signUp } = useAuth();
+  const { signIn, signUp, signInWithMagicLink, signInWithProvider, requestPasswordReset } = useAuth();
   const { isDarkMode, toggleTheme } = useTheme();
 
+  // An expired email link or a refused OAuth sign-in lands back here with an error
+  useEffect(() => {
+    const urlError = authErrorFromUrl();
+    if (urlError) setError(urlError);
+  }, []);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+    setMessage('');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -21,13 +47,21 @@ export default function AuthForm() {
     setLoading(true);
 
     try {
-      if (isLogin) {
+      if (mode === 'signIn') {
         const { error } = await signIn(email, password);
         if (error) throw error;
-      } else {
+      } else if (mode === 'signUp') {
         const { error } = await signUp(email, password);
         if (error) throw error;
         setMessage('Check your email for the confirmation link!');
+      } else if (mode === 'magicLink') {
+        const { error } = await signInWithMagicLink(email);
+        if (error) throw error;
+        setMessage('Check your email for a link to sign in.');
+      } else {
+        const { error } = await requestPasswordReset(email);
+        if (error) throw error;
+        setMessage('If an account exists for that email, a link to reset the password is on its way.');
       }
     } catch (error) {
       setError(error.message);
@@ -36,6 +70,21 @@ export default function AuthForm() {
     }
   };
 
+  // On success the browser leaves for the provider, so loading only ends on an error
+  const handleProvider = async (provider) => {
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    const { error } = await signInWithProvider(provider);
+    if (error) {
+      setError(error.message);
+      setLoading(false);
+    }
+  };
+
+  const showPassword = mode === 'signIn' || mode === 'signUp';
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 transition-colors duration-200">
       <div className="max-w-md w-full space-y-8">
@@ -52,85 +101,138 @@ export default function AuthForm() {
 
         <div>
           <h2 className="mt-6 text-center text-3xl font-bold text-gray-900 dark:text-white transition-colors">
-            {isLogin ? 'Sign in to your account' : 'Create your account'}
+            {mode ? MODES[mode].title : 'Sign in to your account'}
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600 dark:text-gray-400 transition-colors">
             Save and organize your favorite links with AI-powered summaries
           </p>
         </div>
         
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 transition-colors">
-                Email address
-              </label>
-              <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
-                placeholder="Enter your email"
-              />
-            </div>
+        {mode && (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 transition-colors">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
+                  placeholder="Enter your email"
+                />
+              </div>
             
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 transition-colors">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete={isLogin ? 'current-password' : 'new-password'}
-                required
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
-                placeholder="Enter your password"
-              />
+              {showPassword && (
+                <div>
+                  <div className="flex items-center justify-between">
+                    <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 transition-colors">
+                      Password
+                    </label>
+                    {mode === 'signIn' && (
+                      <button type="button" onClick={() => switchMode('forgotPassword')} className={linkButtonClassName}>
+                        Forgot your password?
+                      </button>
+                    )}
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    autoComplete={mode === 'signIn' ? 'current-password' : 'new-password'}
+                    required
+                    minLength={mode === 'signUp' ? MIN_PASSWORD_LENGTH : undefined}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
+                    placeholder="Enter your password"
+                  />
+                </div>
+              )}
             </div>
-          </div>
 
-          {error && (
-            <div className="bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg transition-colors">
-              {error}
-            </div>
-          )}
+            {error && (
+              <div role="alert" className="bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg transition-colors">
+                {error}
+              </div>
+            )}
+
+            {message && (
+              <div role="status" className="bg-green-50 dark:bg-green-900 border border-green-300 dark:border-green-700 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg transition-colors">
+                {message}
+              </div>
+            )}
 
-          {message && (
-            <div className="bg-green-50 dark:bg-green-900 border border-green-300 dark:border-green-700 text-green-700 dark:text-green-300 px-4 py-3 rounded-lg transition-colors">
-              {message}
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading && (
+                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                )}
+                {loading ? 'Please wait...' : MODES[mode].submit}
+              </button>
             </div>
-          )}
-
-          <div>
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              {loading && (
-                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+
+            <div className="flex flex-col items-center gap-2">
+              {mode === 'signIn' && MAGIC_LINK_ENABLED && (
+                <button type="button" onClick={() => switchMode('magicLink')} className={linkButtonClassName}>
+                  Email me a sign-in link instead
+                </button>
               )}
-              {loading ? 'Please wait...' : (isLogin ? 'Sign in' : 'Sign up')}
-            </button>
-          </div>
+              {(mode === 'signIn' || mode === 'signUp') && (
+                <button
+                  type="button"
+                  onClick={() => switchMode(mode === 'signIn' ? 'signUp' : 'signIn')}
+                  className={linkButtonClassName}
+                >
+                  {mode === 'signIn' ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
+                </button>
+              )}
+              {PASSWORD_ENABLED && (mode === 'magicLink' || mode === 'forgotPassword') && (
+                <button type="button" onClick={() => switchMode('signIn')} className={linkButtonClassName}>
+                  Back to sign in with a password
+                </button>
+              )}
+            </div>
+          </form>
+        )}
 
-          <div className="text-center">
-            <button
-              type="button"
-              onClick={() => setIsLogin(!isLogin)}
-              className="text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 text-sm transition-colors"
-            >
-              {isLogin ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
-            </button>
+        {/* OAuth providers, from NEXT_PUBLIC_AUTH_PROVIDERS */}
+        {ENABLED_OAUTH_PROVIDERS.length > 0 && mode !== 'forgotPassword' && (
+          <div className="space-y-4">
+            {mode && (
+              <div className="flex items-center gap-3 text-sm text-gray-500 dark:text-gray-400">
+                <span className="flex-1 border-t border-gray-300 dark:border-gray-600"></span>
+                or continue with
+                <span className="flex-1 border-t border-gray-300 dark:border-gray-600"></span>
+              </div>
+            )}
+            {!mode && error && (
+              <div role="alert" className="bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg transition-colors">
+                {error}
+              </div>
+            )}
+            {ENABLED_OAUTH_PROVIDERS.map(provider => (
+              <button
+                key={provider}
+                type="button"
+                onClick={() => handleProvider(provider)}
+                disabled={loading}
+                className="w-full py-3 px-4 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Continue with {OAUTH_PROVIDERS[provider]}
+              </button>
+            ))}
           </div>
-        </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,345 @@
+import { useEffect, useRef } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import {
+  AlertCircleIcon, AlertTriangleIcon, ArchiveIcon, ArrowRightIcon, ArchiveRestoreIcon, ExternalLinkIcon, MailIcon, MailOpenIcon, PencilIcon, RefreshCwIcon,
+  RotateCcwIcon, StarIcon, TrashIcon,
+} from 'lucide-react';
+import { trashPurgeDate } from '../lib/trash';
+import { linkHealth } from '../lib/urls';
+import EditBookmarkForm from './EditBookmarkForm';
+import Highlight from './Highlight';
+
+function LinkHealthBadge({ bookmark, onCheckLink, onUpdateToRedirect }) {
+  const health = linkHealth(bookmark);
+  if (health !== 'broken' && health !== 'redirected') return null;
+
+  const checked = `Checked ${new Date(bookmark.link_checked_at).toLocaleString()}`;
+  const actionClassName = 'underline hover:no-underline';
+
+  return health === 'broken' ? (
+    <p className="mb-3 text-xs flex flex-wrap items-center gap-2 text-red-600 dark:text-red-400" title={checked}>
+      <span className="px-2 py-0.5 rounded-full bg-red-100 dark:bg-red-900 flex items-center gap-1">
+        <AlertTriangleIcon size={12} />
+        Broken link{bookmark.link_status ? ` (HTTP ${bookmark.link_status})` : bookmark.link_error ? ` (${bookmark.link_error})` : ''}
+      </span>
+      <button onClick={onCheckLink} className={actionClassName}>Check again</button>
+    </p>
+  ) : (
+    <p className="mb-3 text-xs flex flex-wrap items-center gap-2 text-amber-700 dark:text-amber-400" title={checked}>
+      <span className="px-2 py-0.5 rounded-full bg-amber-100 dark:bg-amber-900 flex items-center gap-1 min-w-0">
+        <ArrowRightIcon size={12} className="flex-shrink-0" />
+        <span className="truncate">Redirects to {bookmark.link_final_url}</span>
+      </span>
+      <button onClick={onUpdateToRedirect} className={actionClassName}>Update to this URL</button>
+    </p>
+  );
+}
+
+function SummaryContent({ bookmark, highlight }) {
+  if (bookmark.summary_status === 'pending' && !bookmark.summary_error) {
+    return (
+      <span className="flex items-center gap-2 text-gray-500 dark:text-gray-400">
+        Generating summary...
+        <div className="w-3 h-3 border border-gray-300 border-t-blue-500 rounded-full animate-spin"></div>
+      </span>
+    );
+  }
+
+  return (
+    <>
+      <Highlight text={bookmark.summary} highlighted={highlight?.summary_highlight} />
+      {bookmark.summary_error && (
+        <span className={`flex items-start gap-1 text-xs ${bookmark.summary ? 'mt-2' : ''} ${
+          bookmark.summary_status === 'failed'
+            ? 'text-red-600 dark:text-red-400'
+            : 'text-amber-600 dark:text-amber-400'
+        }`}>
+          <AlertCircleIcon size={12} className="flex-shrink-0 mt-0.5" />
+          {bookmark.summary_status === 'failed'
+            ? `Summary failed: ${bookmark.summary_error}`
+            : `Summary will be retried: ${bookmark.summary_error}`}
+        </span>
+      )}
+    </>
+  );
+}
+
+export default function BookmarkCard({
+  bookmark,
+  highlight,
+  canReorder = true,
+  isEditing,
+  editFocus,
+  isDeleting,
+  isActive = false,
+  selectable = false,
+  isSelected = false,
+  onSelect,
+  onEdit,
+  onCancelEdit,
+  onSave,
+  onDelete,
+  onRestore,
+  onPurge,
+  onRegenerateSummary,
+  onOpen,
+  onToggleRead,
+  onToggleFavorite,
+  onToggleArchive,
+  onCheckLink,
+  onUpdateToRedirect,
+  onDragStart,
+  onDragOver,
+  onDrop,
+}) {
+  // Cards can always be dragged onto a collection; dropping on another card reorders.
+  // Cards in the Trash can only be restored or deleted forever.
+  const inTrash = !!bookmark.deleted_at;
+  const purgeDate = trashPurgeDate(bookmark);
+  const canDrag = !bookmark.isLoading && !isEditing && !inTrash;
+  const canDropHere = canDrag && canReorder;
+  const summaryInProgress = bookmark.summary_status === 'pending' && !bookmark.summary_error;
+  const cardRef = useRef(null);
+
+  // The card picked with j/k holds the focus, and gets it back after editing.
+  // The list scrolls it into view.
+  useEffect(() => {
+    if (isActive && !isEditing) cardRef.current?.focus({ preventScroll: true });
+  }, [isActive, isEditing]);
+
+  return (
+    <div
+      ref={cardRef}
+      tabIndex={-1}
+      role="article"
+      aria-label={bookmark.title}
+      aria-current={isActive || undefined}
+      className={`bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 transition-all duration-200 ${
+        bookmark.isLoading ? 'opacity-75' : isEditing ? 'ring-2 ring-blue-500' : canDrag ? 'cursor-move hover:shadow-md' : 'hover:shadow-md'
+      } ${isSelected && !isEditing ? 'ring-2 ring-blue-400 dark:ring-blue-500' : ''} ${
+        isActive && !isEditing && !isSelected ? 'ring-2 ring-gray-400 dark:ring-gray-500' : ''
+      } outline-none`}
+      draggable={canDrag}
+      onDragStart={(e) => canDrag && onDragStart(e, bookmark)}
+      onDragOver={canDropHere ? onDragOver : undefined}
+      onDrop={(e) => canDropHere && onDrop(e, bookmark)}
+    >
+      {isEditing ? (
+        <EditBookmarkForm bookmark={bookmark} onSave={onSave} onCancel={onCancelEdit} initialFocus={editFocus} />
+      ) : (
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex-1 min-w-0 overflow-hidden">
+            <div className="flex items-center gap-3 mb-2">
+              {selectable && (
+                <input
+                  type="checkbox"
+                  checked={isSelected}
+                  disabled={bookmark.isLoading}
+                  // onClick rather than onChange, to see the shift key for range selection
+                  onClick={(e) => onSelect(e)}
+                  readOnly
+                  aria-label={`Select ${bookmark.title}`}
+                  className="w-4 h-4 flex-shrink-0 rounded border-gray-300 dark:border-gray-600 cursor-pointer"
+                />
+              )}
+              <Image
+                src={bookmark.favicon}
+                alt=""
+                width={20}
+                height={20}
+                className="w-5 h-5 flex-shrink-0"
+                onError={(e) => {
+                  e.currentTarget.src = '/favicon.ico';
+                }}
+              />
+              <h3 className="font-semibold text-gray-900 dark:text-white truncate flex items-center gap-2">
+                {!bookmark.read_at && !bookmark.isLoading && (
+                  <span className="w-2 h-2 rounded-full bg-blue-500 flex-shrink-0" title="Unread"></span>
+                )}
+                <Highlight text={bookmark.title} highlighted={highlight?.title_highlight} />
+                {bookmark.isLoading && (
+                  <div className="w-4 h-4 border-2 border-gray-300 border-t-blue-500 rounded-full animate-spin"></div>
+                )}
+              </h3>
+              <button
+                onClick={onToggleFavorite}
+                disabled={bookmark.isLoading}
+                className={`p-1 flex-shrink-0 transition-colors ${
+                  bookmark.is_favorite ? 'text-yellow-500 hover:text-yellow-600' : 'text-gray-300 hover:text-yellow-500 dark:text-gray-600'
+                }`}
+                title={bookmark.is_favorite ? 'Remove from favorites' : 'Add to favorites'}
+                aria-pressed={!!bookmark.is_favorite}
+              >
+                <StarIcon size={16} fill={bookmark.is_favorite ? 'currentColor' : 'none'} />
+              </button>
+            </div>
+            {bookmark.site_name && (
+              <p className="text-xs uppercase tracking-wide text-gray-400 dark:text-gray-500 mb-1 truncate">
+                {bookmark.site_name}
+              </p>
+            )}
+            <a
+              href={bookmark.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={onOpen}
+              onAuxClick={(e) => e.button === 1 && onOpen()}
+              className="text-blue-500 hover:text-blue-600 dark:text-blue-400 dark:hover:text-blue-300 text-sm flex items-center gap-1 mb-3 transition-colors break-all"
+            >
+              <span className="truncate">{bookmark.url}</span>
+              <ExternalLinkIcon size={12} className="flex-shrink-0" />
+            </a>
+            {!bookmark.isLoading && (
+              <LinkHealthBadge bookmark={bookmark} onCheckLink={onCheckLink} onUpdateToRedirect={onUpdateToRedirect} />
+            )}
+            <div className="text-gray-600 dark:text-gray-300 text-sm leading-relaxed mb-3 break-words whitespace-pre-wrap">
+              <SummaryContent bookmark={bookmark} highlight={highlight} />
+            </div>
+            {bookmark.tags && bookmark.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-3">
+                {bookmark.tags.map(tag => (
+                  <span
+                    key={tag}
+                    className="px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-xs rounded-full"
+                  >
+                    {tag}
+                  </span>
+                ))}
+              </div>
+            )}
+            <p className="text-gray-400 dark:text-gray-500 text-xs">
+              Added {new Date(bookmark.created_at).toLocaleDateString()}
+              {bookmark.updated_at && (
+                <> · Edited {new Date(bookmark.updated_at).toLocaleDateString()}</>
+              )}
+              {bookmark.summary_provider && (
+                <> · Summary: {bookmark.summary_provider}</>
+              )}
+              {bookmark.archived_at && (
+                <> · Archived {new Date(bookmark.archived_at).toLocaleDateString()}</>
+              )}
+              {bookmark.reading_minutes > 0 && (
+                <> · {bookmark.reading_minutes} min read</>
+              )}
+              {inTrash && (
+                <span className="text-red-500 dark:text-red-400">
+                  {' · '}Deleted {new Date(bookmark.deleted_at).toLocaleDateString()}
+                  {purgeDate && <>, gone for good on {purgeDate.toLocaleDateString()}</>}
+                </span>
+              )}
+              {!bookmark.isLoading && !inTrash && (
+                <>
+                  {' · '}
+                  <Link
+                    href={`/read/${bookmark.id}`}
+                    className="text-blue-500 hover:text-blue-600 dark:text-blue-400"
+                    title={bookmark.snapshot_at ? 'Read the saved copy' : 'Save a copy to read later'}
+                  >
+                    Reader view
+                  </Link>
+                </>
+              )}
+            </p>
+          </div>
+          {bookmark.image && (
+            <Image
+              src={bookmark.image}
+              alt=""
+              width={128}
+              height={80}
+              unoptimized
+              className="hidden sm:block w-32 h-20 object-cover rounded-md flex-shrink-0 bg-gray-100 dark:bg-gray-700"
+              onError={(e) => {
+                e.currentTarget.style.display = 'none';
+              }}
+            />
+          )}
+          {inTrash ? (
+            <div className="flex flex-col gap-1 flex-shrink-0">
+              <button
+                onClick={onRestore}
+                disabled={isDeleting}
+                className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                title="Restore"
+              >
+                <RotateCcwIcon size={16} />
+              </button>
+              <button
+                onClick={onPurge}
+                disabled={isDeleting}
+                className="p-2 text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 transition-colors"
+                title={isDeleting ? 'Deleting...' : 'Delete forever'}
+              >
+                {isDeleting ? (
+                  <div className="w-4 h-4 border-2 border-gray-300 border-t-gray-600 rounded-full animate-spin"></div>
+                ) : (
+                  <TrashIcon size={16} />
+                )}
+              </button>
+            </div>
+          ) : (
+            <div className="flex flex-col gap-1 flex-shrink-0">
+              <button
+                onClick={onToggleRead}
+                disabled={bookmark.isLoading}
+                className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                title={bookmark.read_at ? 'Mark as unread' : 'Mark as read'}
+              >
+                {bookmark.read_at ? <MailIcon size={16} /> : <MailOpenIcon size={16} />}
+              </button>
+              <button
+                onClick={onToggleArchive}
+                disabled={isDeleting || bookmark.isLoading}
+                className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                title={bookmark.archived_at ? 'Move back to the list' : 'Archive'}
+              >
+                {bookmark.archived_at ? <ArchiveRestoreIcon size={16} /> : <ArchiveIcon size={16} />}
+              </button>
+              <button
+                onClick={onEdit}
+                disabled={isDeleting || bookmark.isLoading}
+                className={`p-2 transition-colors ${
+                  isDeleting || bookmark.isLoading
+                    ? 'text-gray-400 cursor-not-allowed'
+                    : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+                }`}
+                title={bookmark.isLoading ? 'Processing...' : 'Edit bookmark'}
+              >
+                <PencilIcon size={16} />
+              </button>
+              <button
+                onClick={onRegenerateSummary}
+                disabled={summaryInProgress || isDeleting || bookmark.isLoading}
+                className={`p-2 transition-colors ${
+                  summaryInProgress || isDeleting || bookmark.isLoading
+                    ? 'text-gray-400 cursor-not-allowed'
+                    : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+                }`}
+                title={summaryInProgress ? 'Generating summary...' : 'Regenerate summary'}
+              >
+                <RefreshCwIcon size={16} className={summaryInProgress ? 'animate-spin' : ''} />
+              </button>
+              <button
+                onClick={onDelete}
+                disabled={isDeleting || bookmark.isLoading}
+                className={`p-2 transition-colors ${
+                  isDeleting || bookmark.isLoading
+                    ? 'text-gray-400 cursor-not-allowed'
+                    : 'text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300'
+                }`}
+                title={isDeleting ? 'Deleting...' : bookmark.isLoading ? 'Processing...' : 'Move to Trash'}
+              >
+                {isDeleting ? (
+                  <div className="w-4 h-4 border-2 border-gray-300 border-t-gray-600 rounded-full animate-spin"></div>
+                ) : (
+                  <TrashIcon size={16} />
+                )}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
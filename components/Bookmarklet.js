@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+import { BookmarkPlusIcon, CheckIcon, CopyIcon } from 'lucide-react';
+import { buildBookmarklet, parseTags } from '../lib/utils';
+
+// Generates the "Save to Link Saver" bookmarklet, which opens /save for the current page
+export default function Bookmarklet() {
+  const [tags, setTags] = useState('');
+  const [code, setCode] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+  const linkRef = useRef(null);
+
+  useEffect(() => {
+    setCode(buildBookmarklet(window.location.origin, { tags: parseTags(tags) }));
+    setCopied(false);
+  }, [tags]);
+
+  // React refuses to render javascript: URLs, so set the link's href directly
+  useEffect(() => {
+    if (linkRef.current && code) {
+      linkRef.current.setAttribute('href', code);
+    }
+  }, [code]);
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying bookmarklet:', error);
+      setError('Could not copy the bookmarklet');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Bookmarklet</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        Drag the button to your bookmarks bar. Clicking it on any page opens a small window that saves the page, with its summary, and lets you adjust the tags.
+      </p>
+
+      <input
+        type="text"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags to add to every link saved with it (optional)"
+        aria-label="Bookmarklet tags"
+        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm mb-4 transition-colors"
+      />
+
+      <div className="flex flex-wrap items-center gap-4">
+        <a
+          ref={linkRef}
+          onClick={(e) => e.preventDefault()}
+          className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 flex items-center gap-2 text-sm cursor-move transition-colors"
+          title="Drag me to your bookmarks bar"
+        >
+          <BookmarkPlusIcon size={16} />
+          Save to Link Saver
+        </a>
+        <button
+          onClick={copyCode}
+          disabled={!code}
+          className="text-sm text-blue-600 hover:text-blue-500 dark:text-blue-400 flex items-center gap-1"
+        >
+          {copied ? <CheckIcon size={14} /> : <CopyIcon size={14} />}
+          {copied ? 'Copied' : 'Copy code'}
+        </button>
+      </div>
+      <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+        Can&apos;t drag? Create a new bookmark and paste the copied code as its URL.
+      </p>
+
+      {error && (
+        <p className="mt-4 text-red-600 dark:text-red-400 text-sm">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import {
+  ArchiveIcon, ArchiveRestoreIcon, DownloadIcon, FolderInputIcon, MailIcon, MailOpenIcon, RefreshCwIcon, RotateCcwIcon,
+  TagIcon, Trash2Icon, XIcon,
+} from 'lucide-react';
+import { collectionPath } from '../lib/collections';
+import { EXPORT_FORMATS } from '../lib/exporters';
+import { parseTags } from '../lib/utils';
+import TagInput from './TagInput';
+
+const pluralize = (count) => `${count} bookmark${count === 1 ? '' : 's'}`;
+
+const buttonClass = 'px-3 py-1.5 rounded-lg text-sm flex items-center gap-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors';
+const dangerButtonClass = 'px-3 py-1.5 rounded-lg text-sm flex items-center gap-1.5 bg-red-50 dark:bg-red-900/40 text-red-700 dark:text-red-300 hover:bg-red-100 dark:hover:bg-red-900 disabled:opacity-50 disabled:cursor-not-allowed transition-colors';
+const fieldClass = 'px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors';
+
+// Toolbar for the selected bookmarks. Each action is sent as one request by
+// the dashboard (`onAction(action, options)`), which reports back in `status`:
+// { type: 'progress' | 'done' | 'error', message }. In the Trash the only
+// actions are restore and delete forever.
+export default function BulkActions({
+  count,
+  inTrash = false,
+  allMatching,
+  matchingCount,
+  canSelectAll,
+  collections,
+  vocabulary,
+  status,
+  onSelectAll,
+  onClear,
+  onClose,
+  onAction,
+}) {
+  const [tags, setTags] = useState('');
+  const [collectionId, setCollectionId] = useState('');
+  const [format, setFormat] = useState('html');
+
+  const busy = status?.type === 'progress';
+  const disabled = busy || count === 0;
+  const parsedTags = parseTags(tags);
+
+  const collectionOptions = collections
+    .map(collection => ({ id: collection.id, label: collectionPath(collections, collection.id).join(' / ') }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  const runTagAction = (action) => {
+    onAction(action, { tags: parsedTags });
+    setTags('');
+  };
+
+  const confirmPurge = () => {
+    if (confirm(`Delete ${pluralize(count)} forever? This cannot be undone.`)) {
+      onAction('purge');
+    }
+  };
+
+  return (
+    <div className="sticky top-0 z-20 bg-white dark:bg-gray-800 rounded-lg shadow-sm p-4 mb-4 space-y-3 transition-colors duration-200">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-medium text-gray-900 dark:text-white">
+          {allMatching ? `All ${pluralize(count)} matching` : `${count} selected`}
+        </span>
+        {canSelectAll && (
+          <button onClick={onSelectAll} disabled={busy} className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50">
+            Select all {matchingCount !== null ? pluralize(matchingCount) : 'bookmarks'} matching the filter
+          </button>
+        )}
+        {count > 0 && (
+          <button onClick={onClear} disabled={busy} className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-50">
+            Clear selection
+          </button>
+        )}
+        <span className="ml-auto text-xs text-gray-400 dark:text-gray-500">Shift-click to select a range</span>
+        <button
+          onClick={onClose}
+          disabled={busy}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+          title="Stop selecting"
+        >
+          <XIcon size={18} />
+        </button>
+      </div>
+
+      {inTrash ? (
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => onAction('restore')} disabled={disabled} className={buttonClass}>
+            <RotateCcwIcon size={14} />
+            Restore
+          </button>
+          <button onClick={confirmPurge} disabled={disabled} className={dangerButtonClass}>
+            <Trash2Icon size={14} />
+            Delete forever
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => onAction('mark_read')} disabled={disabled} className={buttonClass}>
+              <MailOpenIcon size={14} />
+              Mark read
+            </button>
+            <button onClick={() => onAction('mark_unread')} disabled={disabled} className={buttonClass}>
+              <MailIcon size={14} />
+              Mark unread
+            </button>
+            <button onClick={() => onAction('archive')} disabled={disabled} className={buttonClass}>
+              <ArchiveIcon size={14} />
+              Archive
+            </button>
+            <button onClick={() => onAction('unarchive')} disabled={disabled} className={buttonClass}>
+              <ArchiveRestoreIcon size={14} />
+              Unarchive
+            </button>
+            <button onClick={() => onAction('summarize')} disabled={disabled} className={buttonClass}>
+              <RefreshCwIcon size={14} />
+              Re-run summaries
+            </button>
+            <button onClick={() => onAction('delete')} disabled={disabled} className={dangerButtonClass}>
+              <Trash2Icon size={14} />
+              Move to Trash
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+            <div className="flex items-center gap-2 min-w-[16rem] flex-1">
+              <TagIcon size={14} className="text-gray-500 dark:text-gray-400" />
+              <TagInput
+                value={tags}
+                onChange={setTags}
+                vocabulary={vocabulary}
+                placeholder="Tags"
+                aria-label="Tags to add or remove"
+                className={`w-full ${fieldClass}`}
+                disabled={busy}
+              />
+              <button onClick={() => runTagAction('add_tags')} disabled={disabled || parsedTags.length === 0} className={buttonClass}>
+                Add
+              </button>
+              <button onClick={() => runTagAction('remove_tags')} disabled={disabled || parsedTags.length === 0} className={buttonClass}>
+                Remove
+              </button>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <select
+                value={collectionId}
+                onChange={(e) => setCollectionId(e.target.value)}
+                aria-label="Collection to move to"
+                className={fieldClass}
+                disabled={busy}
+              >
+                <option value="">Unfiled</option>
+                {collectionOptions.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              <button onClick={() => onAction('move', { collection_id: collectionId || null })} disabled={disabled} className={buttonClass}>
+                <FolderInputIcon size={14} />
+                Move
+              </button>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                aria-label="Export format"
+                className={fieldClass}
+                disabled={busy}
+              >
+                {Object.entries(EXPORT_FORMATS).map(([id, { label }]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              <button onClick={() => onAction('export', { format })} disabled={disabled} className={buttonClass}>
+                <DownloadIcon size={14} />
+                Export
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {status && (
+        <p
+          role="status"
+          className={`text-sm flex items-center gap-2 ${
+            status.type === 'error'
+              ? 'text-red-600 dark:text-red-400'
+              : status.type === 'done'
+                ? 'text-green-700 dark:text-green-300'
+                : 'text-gray-500 dark:text-gray-400'
+          }`}
+        >
+          {busy && <span className="w-3 h-3 border border-gray-300 border-t-blue-500 rounded-full animate-spin"></span>}
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+}
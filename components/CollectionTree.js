@@ -0,0 +1,258 @@
+import { useState } from 'react';
+import {
+  ChevronDownIcon, ChevronRightIcon, FolderIcon, FolderOpenIcon, FolderPlusIcon, LayersIcon, PencilIcon, TrashIcon,
+} from 'lucide-react';
+import { buildCollectionTree, collectionWithDescendants } from '../lib/collections';
+
+const inputClassName = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+function NameForm({ initialValue = '', placeholder, onSubmit, onCancel }) {
+  const [value, setValue] = useState(initialValue);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (value.trim()) {
+      onSubmit(value.trim());
+    } else {
+      onCancel();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="px-2 py-1">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        onBlur={handleSubmit}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        className={inputClassName}
+        autoFocus
+      />
+    </form>
+  );
+}
+
+export default function CollectionTree({
+  collections,
+  counts,
+  totalCount,
+  unfiledCount,
+  selected,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onMove,
+  onDragOver,
+  onDropBookmark,
+}) {
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [creatingIn, setCreatingIn] = useState(undefined); // parent id (null = top level) while adding
+  const [renamingId, setRenamingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(undefined); // collection id, or null for "Unfiled"
+  const [draggedCollection, setDraggedCollection] = useState(null);
+
+  const tree = buildCollectionTree(collections, counts);
+
+  const toggleCollapsed = (id) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  // Rows accept bookmarks from the list (via the dashboard's drag handlers)
+  // and collections dragged within the tree
+  const dropProps = (collectionId) => ({
+    onDragOver: (e) => {
+      if (draggedCollection && collectionId !== null
+        && collectionWithDescendants(collections, draggedCollection).has(collectionId)) {
+        return;
+      }
+      onDragOver(e);
+      setDropTarget(collectionId);
+    },
+    onDragLeave: () => setDropTarget(undefined),
+    onDrop: (e) => {
+      setDropTarget(undefined);
+      if (draggedCollection) {
+        e.preventDefault();
+        onMove(draggedCollection, collectionId);
+        setDraggedCollection(null);
+      } else {
+        onDropBookmark(e, collectionId);
+      }
+    },
+  });
+
+  const rowClassName = (isSelected, isDropTarget) => `group flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm cursor-pointer transition-colors ${
+    isDropTarget
+      ? 'bg-blue-100 dark:bg-blue-900 ring-2 ring-blue-400'
+      : isSelected
+        ? 'bg-blue-50 dark:bg-gray-700 text-blue-700 dark:text-blue-300 font-medium'
+        : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+  }`;
+
+  const renderNode = (node, depth) => {
+    const isCollapsed = collapsed.has(node.id);
+
+    return (
+      <li key={node.id} role="treeitem" aria-expanded={node.children.length > 0 ? !isCollapsed : undefined} aria-selected={selected === node.id}>
+        {renamingId === node.id ? (
+          <NameForm
+            initialValue={node.name}
+            placeholder="Collection name"
+            onSubmit={(name) => {
+              setRenamingId(null);
+              if (name !== node.name) onRename(node.id, name);
+            }}
+            onCancel={() => setRenamingId(null)}
+          />
+        ) : (
+          <div
+            className={rowClassName(selected === node.id, dropTarget === node.id)}
+            style={{ paddingLeft: `${depth * 12 + 8}px` }}
+            onClick={() => onSelect(node.id)}
+            draggable
+            onDragStart={(e) => {
+              e.stopPropagation();
+              setDraggedCollection(node.id);
+              e.dataTransfer.effectAllowed = 'move';
+            }}
+            onDragEnd={() => setDraggedCollection(null)}
+            {...dropProps(node.id)}
+          >
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleCollapsed(node.id);
+              }}
+              className={`p-0.5 text-gray-400 ${node.children.length === 0 ? 'invisible' : ''}`}
+              aria-label={isCollapsed ? `Expand ${node.name}` : `Collapse ${node.name}`}
+            >
+              {isCollapsed ? <ChevronRightIcon size={14} /> : <ChevronDownIcon size={14} />}
+            </button>
+            <FolderIcon size={14} className="flex-shrink-0" />
+            <span className="flex-1 truncate">{node.name}</span>
+            <span className="hidden group-hover:flex items-center gap-1">
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setCreatingIn(node.id);
+                  setCollapsed(prev => new Set([...prev].filter(id => id !== node.id)));
+                }}
+                className="p-0.5 text-gray-400 hover:text-blue-500"
+                title={`New collection in ${node.name}`}
+              >
+                <FolderPlusIcon size={12} />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setRenamingId(node.id);
+                }}
+                className="p-0.5 text-gray-400 hover:text-blue-500"
+                title={`Rename ${node.name}`}
+              >
+                <PencilIcon size={12} />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(node);
+                }}
+                className="p-0.5 text-gray-400 hover:text-red-500"
+                title={`Delete ${node.name}`}
+              >
+                <TrashIcon size={12} />
+              </button>
+            </span>
+            <span
+              className="text-xs text-gray-400 dark:text-gray-500 group-hover:hidden"
+              title={node.total !== node.count ? `${node.count} here, ${node.total} including sub-collections` : undefined}
+            >
+              {node.total}
+            </span>
+          </div>
+        )}
+        {!isCollapsed && (node.children.length > 0 || creatingIn === node.id) && (
+          <ul role="group">
+            {node.children.map(child => renderNode(child, depth + 1))}
+            {creatingIn === node.id && (
+              <li style={{ paddingLeft: `${(depth + 1) * 12}px` }}>
+                <NameForm
+                  placeholder="Collection name"
+                  onSubmit={(name) => {
+                    setCreatingIn(undefined);
+                    onCreate(name, node.id);
+                  }}
+                  onCancel={() => setCreatingIn(undefined)}
+                />
+              </li>
+            )}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <nav aria-label="Collections" className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-4 transition-colors duration-200">
+      <div className="flex items-center justify-between mb-2 px-2">
+        <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Collections</h2>
+        <button
+          onClick={() => setCreatingIn(null)}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+          title="New collection"
+        >
+          <FolderPlusIcon size={16} />
+        </button>
+      </div>
+
+      <div className={rowClassName(selected === 'all', false)} onClick={() => onSelect('all')}>
+        <LayersIcon size={14} className="flex-shrink-0" />
+        <span className="flex-1">All bookmarks</span>
+        <span className="text-xs text-gray-400 dark:text-gray-500">{totalCount}</span>
+      </div>
+      <div
+        className={rowClassName(selected === 'unfiled', dropTarget === null)}
+        onClick={() => onSelect('unfiled')}
+        title="Drop a bookmark here to take it out of its collection"
+        {...dropProps(null)}
+      >
+        <FolderOpenIcon size={14} className="flex-shrink-0" />
+        <span className="flex-1">Unfiled</span>
+        <span className="text-xs text-gray-400 dark:text-gray-500">{unfiledCount}</span>
+      </div>
+
+      <ul role="tree" aria-label="Collection tree" className="mt-1">
+        {tree.map(node => renderNode(node, 0))}
+      </ul>
+
+      {creatingIn === null && (
+        <NameForm
+          placeholder="Collection name"
+          onSubmit={(name) => {
+            setCreatingIn(undefined);
+            onCreate(name, null);
+          }}
+          onCancel={() => setCreatingIn(undefined)}
+        />
+      )}
+
+      {collections.length === 0 && creatingIn !== null && (
+        <p className="px-2 mt-2 text-xs text-gray-500 dark:text-gray-400">
+          Create a collection, then drag bookmarks onto it.
+        </p>
+      )}
+    </nav>
+  );
+}
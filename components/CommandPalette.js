@@ -0,0 +1,232 @@
+import { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { BookmarkIcon, CornerDownLeftIcon, SearchIcon, TagIcon, ZapIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { supabase } from '../lib/supabase';
+import { fuzzySearch } from '../lib/fuzzy';
+import { shortcutKeys } from '../lib/shortcuts';
+import Modal from './Modal';
+
+// Bookmarks are indexed a page at a time, up to a cap that keeps opening quick
+const INDEX_PAGE_SIZE = 1000;
+const MAX_INDEXED = 10000;
+
+// Matches shown per group
+const GROUP_LIMITS = { actions: 6, tags: 5, bookmarks: 8 };
+
+// Utility function to load what the palette searches for every bookmark not in the Trash
+async function loadBookmarkIndex(userId) {
+  const rows = [];
+  for (let from = 0; from < MAX_INDEXED; from += INDEX_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('bookmarks')
+      .select('id, title, url, tags, read_at')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('id', { ascending: true })
+      .range(from, from + INDEX_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < INDEX_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// Cmd/Ctrl-K palette. Fuzzy-searches `actions` ({ id, label, icon, shortcut, run }),
+// the user's tags and their bookmarks; Enter or a click runs the highlighted match.
+export default function CommandPalette({ actions, tags, onFilterTag, onOpenBookmark, onClose }) {
+  const { user } = useAuth();
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const [index, setIndex] = useState(null); // null until the bookmarks are loaded
+  const [indexError, setIndexError] = useState('');
+  const inputRef = useRef(null);
+  const baseId = useId();
+  const listId = `${baseId}-results`;
+  const optionId = (position) => `${baseId}-option-${position}`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadIndex = async () => {
+      try {
+        const rows = await loadBookmarkIndex(user.id);
+        if (!cancelled) setIndex(rows);
+      } catch (error) {
+        console.error('Error loading bookmarks for the command palette:', error);
+        if (!cancelled) setIndexError('Failed to load bookmarks');
+      }
+    };
+
+    loadIndex();
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id]);
+
+  // Searching every bookmark is the slow part, so it only reruns when the query does
+  const search = query.trim();
+  const matchedBookmarks = useMemo(() => (
+    !search || !index ? [] : fuzzySearch(
+      index,
+      search,
+      bookmark => `${bookmark.title} ${bookmark.url} ${(bookmark.tags || []).join(' ')}`,
+      GROUP_LIMITS.bookmarks
+    )
+  ), [search, index]);
+
+  // With no query, every action is listed; tags and bookmarks need a query
+  const groups = [
+    {
+      id: 'actions',
+      label: 'Actions',
+      options: (search ? fuzzySearch(actions, search, action => action.label, GROUP_LIMITS.actions) : actions).map(action => ({
+        key: `action-${action.id}`,
+        icon: action.icon || ZapIcon,
+        label: action.label,
+        shortcut: action.shortcut,
+        run: action.run,
+      })),
+    },
+    {
+      id: 'tags',
+      label: 'Tags',
+      options: !search ? [] : fuzzySearch(tags, search, tag => tag, GROUP_LIMITS.tags).map(tag => ({
+        key: `tag-${tag}`,
+        icon: TagIcon,
+        label: tag,
+        detail: 'Filter by this tag',
+        run: () => onFilterTag(tag),
+      })),
+    },
+    {
+      id: 'bookmarks',
+      label: 'Bookmarks',
+      options: matchedBookmarks.map(bookmark => ({
+        key: `bookmark-${bookmark.id}`,
+        icon: BookmarkIcon,
+        label: bookmark.title,
+        detail: bookmark.url,
+        run: () => onOpenBookmark(bookmark),
+      })),
+    },
+  ].filter(group => group.options.length > 0);
+
+  const options = groups.flatMap(group => group.options);
+  const active = Math.min(highlighted, options.length - 1);
+
+  useEffect(() => {
+    if (active >= 0) document.getElementById(optionId(active))?.scrollIntoView({ block: 'nearest' });
+  });
+
+  // The choice runs while the palette is still open, so anything it focuses
+  // keeps the focus when the palette closes
+  const choose = (option) => {
+    option.run();
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (options.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((active + step + options.length) % options.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (options[active]) choose(options[active]);
+    }
+  };
+
+  return (
+    <Modal onClose={onClose} label="Command palette" initialFocusRef={inputRef} className="max-w-xl">
+      <div className="flex items-center gap-3 px-4 border-b border-gray-200 dark:border-gray-700">
+        <SearchIcon size={16} className="flex-shrink-0 text-gray-400 dark:text-gray-500" />
+        <input
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          aria-label="Search actions, tags and bookmarks"
+          aria-expanded={options.length > 0}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={active >= 0 ? optionId(active) : undefined}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setHighlighted(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Type an action, tag or bookmark..."
+          autoComplete="off"
+          spellCheck={false}
+          className="flex-1 py-4 bg-transparent text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none"
+        />
+      </div>
+      <div id={listId} role="listbox" aria-label="Results" className="flex-1 overflow-y-auto p-2">
+        {groups.map(group => (
+          <div key={group.id} role="group" aria-labelledby={`${baseId}-${group.id}`}>
+            <div id={`${baseId}-${group.id}`} className="px-3 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400 dark:text-gray-500">
+              {group.label}
+            </div>
+            {group.options.map(option => {
+              const optionPosition = options.indexOf(option);
+              const Icon = option.icon;
+              return (
+                <div
+                  key={option.key}
+                  id={optionId(optionPosition)}
+                  role="option"
+                  aria-selected={optionPosition === active}
+                  onMouseMove={() => optionPosition !== active && setHighlighted(optionPosition)}
+                  onClick={() => choose(option)}
+                  className={`px-3 py-2 rounded-md flex items-center gap-3 cursor-pointer text-sm transition-colors ${
+                    optionPosition === active
+                      ? 'bg-blue-50 dark:bg-blue-900/40 text-blue-900 dark:text-blue-100'
+                      : 'text-gray-700 dark:text-gray-300'
+                  }`}
+                >
+                  <Icon size={16} className="flex-shrink-0 text-gray-400 dark:text-gray-500" />
+                  <span className="min-w-0 flex-1">
+                    <span className="block truncate">{option.label}</span>
+                    {option.detail && (
+                      <span className="block truncate text-xs text-gray-500 dark:text-gray-400">{option.detail}</span>
+                    )}
+                  </span>
+                  {option.shortcut && (
+                    <span className="flex gap-1 flex-shrink-0" aria-hidden="true">
+                      {shortcutKeys(option.shortcut).map(key => (
+                        <kbd key={key} className="px-1.5 py-0.5 text-xs font-mono rounded border border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400">
+                          {key}
+                        </kbd>
+                      ))}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+        {options.length === 0 && (
+          <p className="px-3 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+            Nothing matches &ldquo;{search}&rdquo;.
+          </p>
+        )}
+      </div>
+      <div className="px-4 py-2 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between gap-4 text-xs text-gray-500 dark:text-gray-400">
+        <span className="flex items-center gap-1">
+          ↑↓ to move, <CornerDownLeftIcon size={12} /> to run, Esc to close
+        </span>
+        <span role="status">
+          {indexError
+            ? <span className="text-red-600 dark:text-red-400">{indexError}</span>
+            : index === null
+              ? 'Loading bookmarks...'
+              : index.length >= MAX_INDEXED
+                ? `Searching your first ${MAX_INDEXED} bookmarks`
+                : ''}
+        </span>
+      </div>
+    </Modal>
+  );
+}
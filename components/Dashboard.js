@@ -1,60 +1,395 @@
-import { useState, useEffect, useCallback } from 'react';
-import Image from 'next/image';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { supabase } from '../lib/supabase';
-import { generateSummary, getFaviconUrl, getPageTitle } from '../lib/utils';
-import { PlusIcon, TrashIcon, ExternalLinkIcon, MoonIcon, SunIcon, TagIcon, XIcon } from 'lucide-react';
+import { getFaviconUrl, getPageMetadata, parseTags, positionBetween, requestLinkCheck, requestSummary } from '../lib/utils';
+import { searchBookmarks } from '../lib/search';
+import { runQueue } from '../lib/queue';
+import { linkHealth, normalizeUrl } from '../lib/urls';
+import { collectionPath, collectionWithDescendants } from '../lib/collections';
+import { suggestTags } from '../lib/tagSuggestions';
+import { applyBookmarkChange, replaceBookmark } from '../lib/bookmarkSync';
+import { saveBookmark } from '../lib/saveBookmark';
+import { applyListFilter, fetchAllBookmarks, fetchBookmarkCounts, fetchBookmarkPage, matchesListFilter } from '../lib/bookmarkQuery';
+import { TRASH_RETENTION_DAYS } from '../lib/trash';
+import { isTypingTarget } from '../lib/shortcuts';
+import { DEFAULT_USER_SETTINGS, fetchUserSettings } from '../lib/userSettings';
+import { PlusIcon, MoonIcon, SunIcon, TagIcon, XIcon, SearchIcon, UploadIcon, DownloadIcon, TagsIcon, Share2Icon, InboxIcon, StarIcon, ArchiveIcon, ListIcon, ActivityIcon, SettingsIcon, SparklesIcon, ListChecksIcon, Trash2Icon, CommandIcon, KeyboardIcon, FolderIcon, LogOutIcon, PlusCircleIcon } from 'lucide-react';
+import BookmarkCard from './BookmarkCard';
+import BulkActions from './BulkActions';
+import CollectionTree from './CollectionTree';
+import CommandPalette from './CommandPalette';
+import DuplicateBookmarkNotice from './DuplicateBookmarkNotice';
+import ExportBookmarks from './ExportBookmarks';
+import ImportBookmarks from './ImportBookmarks';
+import ShareLinks from './ShareLinks';
+import ShortcutsHelp from './ShortcutsHelp';
+import TagInput from './TagInput';
+import TagManager from './TagManager';
+import UndoToast from './UndoToast';
+import VirtualList from './VirtualList';
+import useBookmarkSelection from '../hooks/useBookmarkSelection';
+import useTrash from '../hooks/useTrash';
+
+// Reading-list views (see lib/bookmarkQuery.js for what each one shows)
+const VIEWS = [
+  { id: 'inbox', label: 'Inbox', icon: InboxIcon },
+  { id: 'favorites', label: 'Favorites', icon: StarIcon },
+  { id: 'archive', label: 'Archive', icon: ArchiveIcon },
+  { id: 'all', label: 'All', icon: ListIcon },
+  { id: 'trash', label: 'Trash', icon: Trash2Icon },
+];
+
+// Links are checked in small batches so each request stays short
+const LINK_CHECK_BATCH_SIZE = 10;
+
+// Counts shown until bookmark_counts() answers
+const EMPTY_COUNTS = {
+  total: 0,
+  unfiled: 0,
+  collections: new Map(),
+  views: { inbox: 0, favorites: 0, archive: 0, all: 0, trash: 0 },
+  links: { broken: 0, redirected: 0 },
+};
 
 export default function Dashboard() {
   const { user, signOut } = useAuth();
   const { isDarkMode, toggleTheme } = useTheme();
-  const [bookmarks, setBookmarks] = useState([]);
+  const router = useRouter();
+  const [bookmarks, setBookmarks] = useState([]); // the pages loaded so far for the current filter
+  const [nextBookmark, setNextBookmark] = useState(null); // first row of the next page, null at the end
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [counts, setCounts] = useState(EMPTY_COUNTS);
+  const [tagCounts, setTagCounts] = useState([]); // [{ tag, count }], most used first
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
-  const [deleting, setDeleting] = useState(null); // Track which bookmark is being deleted
+  const [editingId, setEditingId] = useState(null); // Track which bookmark is being edited
   const [signingOut, setSigningOut] = useState(false); // Track sign out loading
   const [newUrl, setNewUrl] = useState('');
   const [newTags, setNewTags] = useState('');
+  const [pageMetadata, setPageMetadata] = useState(null); // { url, metadata } of the URL being typed
+  const [autoApplyTags, setAutoApplyTags] = useState(false);
   const [error, setError] = useState('');
   const [selectedTags, setSelectedTags] = useState([]);
-  const [availableTags, setAvailableTags] = useState([]);
+  const [excludedTags, setExcludedTags] = useState([]);
+  const [tagMatchMode, setTagMatchMode] = useState('any'); // 'any' (OR) or 'all' (AND)
   const [draggedItem, setDraggedItem] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // null when not searching
+  const [searching, setSearching] = useState(false);
+  const [filtersRestored, setFiltersRestored] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showTagManager, setShowTagManager] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [duplicate, setDuplicate] = useState(null); // { existing, tags } when a save hits a saved URL
+  const [collections, setCollections] = useState([]);
+  const [collectionsLoaded, setCollectionsLoaded] = useState(false);
+  const [selectedCollection, setSelectedCollection] = useState('all'); // 'all', 'unfiled' or a collection id
+  const [view, setView] = useState('all'); // one of VIEWS
+  const [linkFilter, setLinkFilter] = useState(null); // null, 'broken' or 'redirected'
+  const [linkCheck, setLinkCheck] = useState(null); // { done, total } while checking links
+  const [activeId, setActiveId] = useState(null); // card picked with j/k
+  const [editFocus, setEditFocus] = useState('title'); // field the edit form starts in
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [userSettings, setUserSettings] = useState(DEFAULT_USER_SETTINGS); // display name and defaults from /settings
+  const addUrlRef = useRef(null);
+  const searchRef = useRef(null);
 
-  const fetchBookmarks = useCallback(async () => {
+  const fetchCollections = useCallback(async () => {
     try {
       const { data, error } = await supabase
-        .from('bookmarks')
+        .from('collections')
         .select('*')
         .eq('user_id', user.id)
-        .order('created_at', { ascending: false });
+        .order('name', { ascending: true });
 
       if (error) throw error;
-      setBookmarks(data || []);
+      setCollections(data || []);
     } catch (error) {
-      console.error('Error fetching bookmarks:', error);
-      setError('Failed to load bookmarks');
+      console.error('Error fetching collections:', error);
+      setError('Failed to load collections');
     } finally {
-      setLoading(false);
+      setCollectionsLoaded(true);
     }
   }, [user?.id]);
 
   useEffect(() => {
     if (user) {
-      fetchBookmarks();
+      fetchCollections();
     }
-  }, [user, fetchBookmarks]);
+  }, [user, fetchCollections]);
+
+  // The add form starts with the default tags and goes back to them after each save
+  const defaultTags = userSettings.default_tags.join(', ');
+
+  useEffect(() => {
+    if (!user) return;
+
+    const loadUserSettings = async () => {
+      try {
+        const settings = await fetchUserSettings(supabase, user.id);
+        setUserSettings(settings);
+        setNewTags(prev => prev || settings.default_tags.join(', '));
+      } catch (error) {
+        // Only the greeting and the prefilled tags depend on these
+        console.error('Error loading user settings:', error);
+      }
+    };
+
+    loadUserSettings();
+  }, [user]);
+
+  // A collection shows its own bookmarks and those of its sub-collections.
+  // Keyed by the ids so renaming a collection doesn't reload the list.
+  const visibleCollections = collections.some(collection => collection.id === selectedCollection)
+    ? collectionWithDescendants(collections, selectedCollection)
+    : null;
+  const visibleCollectionsKey = visibleCollections ? [...visibleCollections].sort().join(',') : '';
 
+  // What the list shows; filtering happens in the database (lib/bookmarkQuery.js)
+  const listFilter = useMemo(() => ({
+    collectionIds: visibleCollectionsKey ? visibleCollectionsKey.split(',') : null,
+    unfiled: selectedCollection === 'unfiled',
+    view,
+    link: linkFilter,
+    tags: { include: selectedTags, exclude: excludedTags, mode: tagMatchMode },
+  }), [visibleCollectionsKey, selectedCollection, view, linkFilter, selectedTags, excludedTags, tagMatchMode]);
+
+  // Reload the first page and the counts, e.g. after an import
+  const reloadBookmarks = useCallback(() => setReloadKey(key => key + 1), []);
+
+  // Bumped whenever the list starts over, so pages of an older list are dropped
+  const listVersion = useRef(0);
+
+  // Load the first page whenever the filter changes. A search loads its ranked
+  // matches instead (up to 200), once typing stops.
   useEffect(() => {
-    // Extract all unique tags from bookmarks
-    const tags = new Set();
-    bookmarks.forEach(bookmark => {
-      if (bookmark.tags) {
-        bookmark.tags.forEach(tag => tags.add(tag));
+    if (!user || !filtersRestored || !collectionsLoaded) return;
+
+    const version = ++listVersion.current;
+    const query = searchQuery.trim();
+    setSearching(!!query);
+
+    const timer = setTimeout(async () => {
+      try {
+        if (query) {
+          const results = await searchBookmarks(query, listFilter.tags, { trash: listFilter.view === 'trash' });
+          let rows = [];
+          if (results.length > 0) {
+            const { data, error } = await applyListFilter(
+              supabase.from('bookmarks').select('*').eq('user_id', user.id),
+              listFilter
+            ).in('id', results.map(result => result.id));
+            if (error) throw error;
+            rows = data || [];
+          }
+          if (version !== listVersion.current) return;
+          setBookmarks(rows);
+          setNextBookmark(null);
+          setSearchResults(results);
+        } else {
+          const page = await fetchBookmarkPage(supabase, user.id, listFilter);
+          if (version !== listVersion.current) return;
+          setBookmarks(page.bookmarks);
+          setNextBookmark(page.next);
+          setSearchResults(null);
+        }
+      } catch (error) {
+        console.error('Error fetching bookmarks:', error);
+        if (version === listVersion.current) setError(query ? 'Search failed' : 'Failed to load bookmarks');
+      } finally {
+        if (version === listVersion.current) {
+          setLoading(false);
+          setSearching(false);
+        }
       }
-    });
-    setAvailableTags(Array.from(tags));
-  }, [bookmarks]);
+    }, query ? 300 : 0);
+
+    return () => clearTimeout(timer);
+  }, [user, filtersRestored, collectionsLoaded, searchQuery, listFilter, reloadKey]);
+
+  const fetchCounts = useCallback(async () => {
+    try {
+      const [bookmarkCounts, { data: tags, error }] = await Promise.all([
+        fetchBookmarkCounts(supabase, listFilter),
+        supabase.rpc('tag_counts'),
+      ]);
+
+      if (error) throw error;
+      setCounts(bookmarkCounts);
+      setTagCounts(tags || []);
+    } catch (error) {
+      console.error('Error fetching counts:', error);
+    }
+  }, [listFilter]);
+
+  useEffect(() => {
+    if (user && filtersRestored && collectionsLoaded) {
+      fetchCounts();
+    }
+  }, [user, filtersRestored, collectionsLoaded, fetchCounts, reloadKey]);
+
+  const {
+    deleting, undo, showUndo, dismissUndo, undoDelete, showRestored, deleteBookmark, restoreBookmark, purgeBookmark, emptyTrash,
+  } = useTrash({
+    userId: user?.id,
+    bookmarks,
+    setBookmarks,
+    listFilter,
+    listComplete: !nextBookmark,
+    reloadBookmarks,
+    fetchCounts,
+    setError,
+  });
+
+  // Next page, after the last saved row loaded so far
+  const loadMore = async () => {
+    if (!nextBookmark || loadingMore || searchResults) return;
+    const after = [...bookmarks].reverse().find(bookmark => !bookmark.isLoading);
+    if (!after) return;
+
+    const version = listVersion.current;
+    setLoadingMore(true);
+
+    try {
+      const page = await fetchBookmarkPage(supabase, user.id, listFilter, { after });
+      if (version !== listVersion.current) return;
+      setBookmarks(prev => {
+        const loaded = new Set(prev.map(bookmark => bookmark.id));
+        return [...prev, ...page.bookmarks.filter(bookmark => !loaded.has(bookmark.id))];
+      });
+      setNextBookmark(page.next);
+    } catch (error) {
+      console.error('Error loading more bookmarks:', error);
+      setError('Failed to load more bookmarks');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Realtime events are applied against the latest render's filter and list
+  const liveState = useRef({});
+  liveState.current = {
+    filter: listFilter,
+    complete: !nextBookmark,
+    loadedIds: new Set(bookmarks.map(bookmark => bookmark.id)),
+    refreshCounts: fetchCounts,
+  };
+
+  // Live changes from other tabs and devices, and from the background jobs
+  useEffect(() => {
+    if (!user) return;
+
+    let subscribedBefore = false;
+    let countsTimer = null;
+    const applyChange = (payload) => {
+      const { filter, complete, loadedIds } = liveState.current;
+      // Delete events can't be filtered; they only carry the id, so unknown ids are ignored
+      if (payload.eventType === 'DELETE' && !loadedIds.has(payload.old.id)) return;
+
+      setBookmarks(prev => applyBookmarkChange(prev, payload, {
+        matches: bookmark => matchesListFilter(bookmark, filter),
+        complete,
+      }));
+
+      // Recount once a burst of changes has settled
+      clearTimeout(countsTimer);
+      countsTimer = setTimeout(() => liveState.current.refreshCounts(), 1000);
+    };
+
+    const channel = supabase
+      .channel(`bookmarks:${user.id}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'bookmarks', filter: `user_id=eq.${user.id}` }, applyChange)
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'bookmarks', filter: `user_id=eq.${user.id}` }, applyChange)
+      .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'bookmarks' }, applyChange)
+      .subscribe((status) => {
+        if (status !== 'SUBSCRIBED') return;
+        // Catch up on anything missed while the connection was down
+        if (subscribedBefore) reloadBookmarks();
+        subscribedBefore = true;
+      });
+
+    return () => {
+      clearTimeout(countsTimer);
+      supabase.removeChannel(channel);
+    };
+  }, [user, reloadBookmarks]);
+
+  useEffect(() => {
+    setAutoApplyTags(localStorage.getItem('autoApplyTags') === 'true');
+  }, []);
+
+  // Fetch the page being added once typing stops, for tag suggestions
+  useEffect(() => {
+    let url;
+    try {
+      url = normalizeUrl(newUrl);
+    } catch (error) {
+      setPageMetadata(null);
+      return;
+    }
+    if (pageMetadata?.url === url) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const metadata = await getPageMetadata(url);
+      if (!cancelled) setPageMetadata({ url, metadata });
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [newUrl, pageMetadata?.url]);
+
+  // Restore search and tag filters from the URL query string
+  useEffect(() => {
+    if (!router.isReady || filtersRestored) return;
+    const { q, tags, not, mode, collection, view: viewParam, links } = router.query;
+    if (typeof q === 'string') setSearchQuery(q);
+    if (typeof tags === 'string' && tags) setSelectedTags(tags.split(','));
+    if (typeof not === 'string' && not) setExcludedTags(not.split(','));
+    if (mode === 'all') setTagMatchMode('all');
+    if (typeof collection === 'string' && collection) setSelectedCollection(collection);
+    if (VIEWS.some(v => v.id === viewParam)) setView(viewParam);
+    if (links === 'broken' || links === 'redirected') setLinkFilter(links);
+    setFiltersRestored(true);
+  }, [router.isReady, router.query, filtersRestored]);
+
+  // Keep the URL in sync so searches can be bookmarked
+  useEffect(() => {
+    if (!filtersRestored) return;
+    const params = new URLSearchParams();
+    if (searchQuery.trim()) params.set('q', searchQuery.trim());
+    if (selectedTags.length > 0) params.set('tags', selectedTags.join(','));
+    if (excludedTags.length > 0) params.set('not', excludedTags.join(','));
+    if (tagMatchMode === 'all') params.set('mode', 'all');
+    if (selectedCollection !== 'all') params.set('collection', selectedCollection);
+    if (view !== 'all') params.set('view', view);
+    if (linkFilter) params.set('links', linkFilter);
+    const target = params.toString() ? `${router.pathname}?${params}` : router.pathname;
+    if (router.asPath !== target) {
+      router.replace(target, undefined, { shallow: true });
+    }
+  }, [searchQuery, selectedTags, excludedTags, tagMatchMode, selectedCollection, view, linkFilter, filtersRestored, router]);
+
+  const isCollectionId = (value) => collections.some(collection => collection.id === value);
+
+  // The user's tags, most used first, and suggestions for the URL being typed
+  const vocabulary = tagCounts;
+  const tagSuggestions = pageMetadata && newUrl.trim()
+    ? suggestTags(pageMetadata.metadata, vocabulary, { exclude: parseTags(newTags) })
+    : [];
+
+  const toggleAutoApplyTags = (enabled) => {
+    setAutoApplyTags(enabled);
+    localStorage.setItem('autoApplyTags', String(enabled));
+  };
 
   const addBookmark = async (e) => {
     e.preventDefault();
@@ -62,65 +397,70 @@ export default function Dashboard() {
 
     setSaving(true);
     setError('');
+    setDuplicate(null);
 
     // Clear form immediately for better UX
     const urlToSave = newUrl;
     const tagsToSave = newTags;
     setNewUrl('');
-    setNewTags('');
+    setNewTags(defaultTags);
+    const tempId = Date.now();
+    // New bookmarks go into the collection being viewed
+    const collectionId = isCollectionId(selectedCollection) ? selectedCollection : null;
 
-    try {
-      // Validate URL
-      const url = new URL(urlToSave.startsWith('http') ? urlToSave : `https://${urlToSave}`);
-      
-      // Process tags
-      const tags = tagsToSave
-        .split(',')
-        .map(tag => tag.trim().toLowerCase())
-        .filter(tag => tag.length > 0);
-      
-      // Show optimistic placeholder
-      const tempId = Date.now();
-      const placeholderBookmark = {
-        id: tempId,
-        url: url.href,
-        title: 'Loading...',
-        summary: 'Generating summary...',
-        favicon: getFaviconUrl(url.href),
-        tags,
-        created_at: new Date().toISOString(),
-        isLoading: true
-      };
-      
-      setBookmarks(prev => [placeholderBookmark, ...prev]);
-
-      // Get page title and generate summary in parallel
-      const [title, summary] = await Promise.all([
-        getPageTitle(url.href).catch(() => url.href),
-        generateSummary(url.href).catch(() => 'Could not generate summary for this page.')
-      ]);
+    // Put the form back and point at the bookmark that already has this URL
+    const showDuplicate = (existing, tags) => {
+      setBookmarks(prev => prev.filter(bookmark => bookmark.id !== tempId));
+      setNewUrl(urlToSave);
+      setNewTags(tagsToSave);
+      setDuplicate({ existing, tags });
+    };
 
-      const { data, error } = await supabase
-        .from('bookmarks')
-        .insert([
+    try {
+      // Same steps as the REST API (lib/saveBookmark.js)
+      const result = await saveBookmark(supabase, user.id, { url: urlToSave, tags: parseTags(tagsToSave), collectionId }, {
+        // Usually already fetched for the tag suggestions
+        loadMetadata: (url) => (pageMetadata?.url === url ? pageMetadata.metadata : getPageMetadata(url)),
+        // Show optimistic placeholder
+        onNew: (url, tags) => setBookmarks(prev => [
           {
-            user_id: user.id,
-            url: url.href,
-            title,
-            summary,
-            favicon: getFaviconUrl(url.href),
+            id: tempId,
+            url,
+            title: 'Loading...',
+            summary: null,
+            summary_status: 'pending',
+            favicon: getFaviconUrl(url),
             tags,
+            collection_id: collectionId,
+            created_at: new Date().toISOString(),
+            isLoading: true
           },
-        ])
-        .select();
+          ...prev,
+        ]),
+        extraTags: autoApplyTags
+          ? (metadata, tags) => suggestTags(metadata, vocabulary, { exclude: tags })
+            .filter(suggestion => suggestion.confident)
+            .map(suggestion => suggestion.tag)
+          : undefined,
+      });
 
-      if (error) throw error;
+      // A link that was in the Trash comes back, with the new tags added
+      if (result.restored) {
+        setBookmarks(prev => prev.filter(bookmark => bookmark.id !== tempId));
+        showRestored([result.bookmark]);
+        fetchCounts();
+        return;
+      }
+      if (result.duplicate) {
+        showDuplicate(result.bookmark, result.tags);
+        return;
+      }
 
-      // Replace placeholder with real data
-      setBookmarks(prev => prev.map(bookmark => 
-        bookmark.id === tempId ? data[0] : bookmark
-      ));
+      // Replace placeholder with real data (a realtime event may have beaten us to it)
+      setBookmarks(prev => replaceBookmark(prev, tempId, result.bookmark));
 
+      // The summary is generated server-side afterwards
+      runSummary(result.bookmark.id);
     } catch (error) {
       console.error('Error adding bookmark:', error);
       setError('Failed to add bookmark. Please check the URL.');
@@ -130,38 +470,250 @@ export default function Dashboard() {
       setNewTags(tagsToSave);
       
       // Remove placeholder bookmark on error
-      setBookmarks(prev => prev.filter(bookmark => !bookmark.isLoading));
+      setBookmarks(prev => prev.filter(bookmark => bookmark.id !== tempId));
     } finally {
       setSaving(false);
     }
   };
 
-  const deleteBookmark = async (id) => {
-    setDeleting(id);
+  const resolveDuplicate = (action) => {
+    const { existing, tags } = duplicate;
+    const mergedTags = Array.from(new Set([...(existing.tags || []), ...tags]));
+
+    setDuplicate(null);
+    setNewUrl('');
+    setNewTags(defaultTags);
+
+    if (action === 'open') {
+      window.open(existing.url, '_blank', 'noopener,noreferrer');
+    } else if (action === 'merge') {
+      updateBookmark(existing.id, { tags: mergedTags }, { original: existing });
+    } else if (action === 'update') {
+      updateBookmark(existing.id, { url: existing.url, tags: mergedTags }, { refreshDetails: true, original: existing });
+    }
+  };
+
+  // Generate a summary server-side and merge the result into the list.
+  // If the request itself fails, the background job retries the pending summary.
+  const runSummary = async (id, options) => {
+    try {
+      const updated = await requestSummary(id, options);
+      setBookmarks(prev => prev.map(bookmark =>
+        bookmark.id === id ? updated : bookmark
+      ));
+    } catch (error) {
+      console.error('Error generating summary:', error);
+      setBookmarks(prev => prev.map(bookmark =>
+        bookmark.id === id
+          ? { ...bookmark, summary_error: 'Summary is taking longer than expected. It will be retried in the background.' }
+          : bookmark
+      ));
+    }
+  };
+
+  const regenerateSummary = (id) => {
+    setBookmarks(prev => prev.map(bookmark =>
+      bookmark.id === id ? { ...bookmark, summary_status: 'pending', summary_error: null } : bookmark
+    ));
+    runSummary(id, { regenerate: true });
+  };
+
+  const updateBookmark = async (id, changes, { refreshDetails = false, original: knownOriginal } = {}) => {
+    const original = knownOriginal || bookmarks.find(bookmark => bookmark.id === id);
+    if (!original) return;
+
+    setEditingId(null);
     setError('');
-    
+
+    // Optimistically apply the edit
+    setBookmarks(prev => prev.map(bookmark =>
+      bookmark.id === id ? { ...bookmark, ...changes, isLoading: refreshDetails } : bookmark
+    ));
+
     try {
-      const { error } = await supabase
+      let updates = { ...changes };
+
+      if (changes.url) {
+        updates.url = normalizeUrl(changes.url);
+        updates.normalized_url = updates.url;
+        // A new URL may no longer be the one the last check was redirected away from
+        updates.link_health = linkHealth({ ...original, url: updates.url });
+      }
+
+      // Hand-written summaries are recorded as such
+      if ('summary' in changes && changes.summary !== original.summary) {
+        updates.summary_provider = 'manual';
+        updates.summary_status = 'ready';
+        updates.summary_error = null;
+      }
+
+      if (refreshDetails) {
+        const metadata = await getPageMetadata(updates.url);
+
+        updates = {
+          ...updates,
+          title: metadata.title,
+          summary: original.summary,
+          summary_provider: original.summary_provider,
+          summary_status: 'pending',
+          summary_error: null,
+          favicon: getFaviconUrl(updates.url),
+          description: metadata.description,
+          image: metadata.image,
+          site_name: metadata.siteName,
+          canonical_url: metadata.canonicalUrl,
+          lang: metadata.lang,
+        };
+      }
+
+      const { data, error } = await supabase
         .from('bookmarks')
-        .delete()
+        .update(updates)
         .eq('id', id)
-        .eq('user_id', user.id);
+        .eq('user_id', user.id)
+        .select();
 
       if (error) throw error;
+      if (!data || data.length === 0) throw new Error('Bookmark not found');
 
-      // Optimistically update UI
-      setBookmarks(prevBookmarks => prevBookmarks.filter(bookmark => bookmark.id !== id));
+      setBookmarks(prev => prev.map(bookmark =>
+        bookmark.id === id ? data[0] : bookmark
+      ));
+
+      if (refreshDetails) {
+        runSummary(id, { regenerate: true });
+      }
     } catch (error) {
-      console.error('Error deleting bookmark:', error);
-      setError('Failed to delete bookmark');
+      console.error('Error updating bookmark:', error);
+      setError(error.code === '23505' ? 'Another bookmark already has this URL' : 'Failed to update bookmark');
+
+      // Roll back to the saved version
+      setBookmarks(prev => prev.map(bookmark =>
+        bookmark.id === id ? original : bookmark
+      ));
+    }
+  };
+
+  // Every saved URL, including those in the Trash, which the unique index also covers
+  const loadExistingUrls = async () => {
+    const rows = await fetchAllBookmarks(supabase, user.id, 'url', { includeDeleted: true });
+    return rows.map(bookmark => bookmark.url);
+  };
+
+  // Insert imported bookmarks in batches, then fill in metadata and summaries
+  // a couple at a time (the background job picks up whatever is left)
+  const importBookmarks = async (items, onProgress) => {
+    const IMPORT_BATCH_SIZE = 100;
+
+    // Oldest first, so the newest bookmarks end up at the top of the list
+    const ordered = [...items].sort((a, b) =>
+      (a.created_at || '9999').localeCompare(b.created_at || '9999')
+    );
+    const insertedIds = [];
+
+    for (let i = 0; i < ordered.length; i += IMPORT_BATCH_SIZE) {
+      const rows = ordered.slice(i, i + IMPORT_BATCH_SIZE).map((item) => {
+        // Saved under the same URL the add form would use, so later saves find the duplicate
+        const url = normalizeUrl(item.url);
+        return {
+          user_id: user.id,
+          url,
+          normalized_url: url,
+          title: item.title,
+          tags: item.tags,
+          description: item.description,
+          favicon: getFaviconUrl(url),
+          summary_status: 'pending',
+          ...(item.created_at && { created_at: item.created_at }),
+        };
+      });
+
+      const { data, error } = await supabase
+        .from('bookmarks')
+        .upsert(rows, { onConflict: 'user_id,normalized_url', ignoreDuplicates: true, defaultToNull: false })
+        .select('id');
+
+      if (error) throw error;
+      insertedIds.push(...data.map(row => row.id));
+      onProgress?.(insertedIds.length);
+    }
+
+    reloadBookmarks();
+    runQueue(insertedIds, id => runSummary(id), { concurrency: 2 });
+  };
+
+  // Check links now, a batch at a time, merging each batch's results as it arrives
+  const checkLinks = async (ids) => {
+    if (ids.length === 0 || linkCheck) return;
+    setLinkCheck({ done: 0, total: ids.length });
+    setError('');
+
+    try {
+      for (let i = 0; i < ids.length; i += LINK_CHECK_BATCH_SIZE) {
+        const updated = await requestLinkCheck(ids.slice(i, i + LINK_CHECK_BATCH_SIZE));
+        const byId = new Map(updated.map(bookmark => [bookmark.id, bookmark]));
+        setBookmarks(prev => prev.map(bookmark => (byId.has(bookmark.id) ? { ...bookmark, ...byId.get(bookmark.id) } : bookmark)));
+        setLinkCheck({ done: Math.min(i + LINK_CHECK_BATCH_SIZE, ids.length), total: ids.length });
+      }
+    } catch (error) {
+      console.error('Error checking links:', error);
+      setError('Failed to check links');
     } finally {
-      setDeleting(null);
+      setLinkCheck(null);
+    }
+  };
+
+  // The header button checks every bookmark, not just the loaded pages
+  const checkAllLinks = async () => {
+    try {
+      const rows = await fetchAllBookmarks(supabase, user.id, 'id');
+      checkLinks(rows.map(bookmark => bookmark.id));
+    } catch (error) {
+      console.error('Error loading bookmarks to check:', error);
+      setError('Failed to check links');
+    }
+  };
+
+  const updateToRedirectedUrl = (bookmark) => {
+    updateBookmark(bookmark.id, { url: bookmark.link_final_url, favicon: getFaviconUrl(bookmark.link_final_url) });
+  };
+
+  // Read, favorite and archive flags. Unlike edits these leave any open editor alone.
+  const setReadingState = async (id, changes) => {
+    const original = bookmarks.find(bookmark => bookmark.id === id);
+    if (!original || original.isLoading) return;
+
+    setBookmarks(prev => prev.map(bookmark => (bookmark.id === id ? { ...bookmark, ...changes } : bookmark)));
+
+    try {
+      const { error } = await supabase
+        .from('bookmarks')
+        .update(changes)
+        .eq('id', id)
+        .eq('user_id', user.id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error updating bookmark:', error);
+      setError('Failed to update bookmark');
+      setBookmarks(prev => prev.map(bookmark => (bookmark.id === id ? original : bookmark)));
     }
   };
 
+  // Opening a link marks it read
+  const markOpened = (bookmark) => {
+    if (!bookmark.read_at) {
+      setReadingState(bookmark.id, { read_at: new Date().toISOString() });
+    }
+  };
+
+  // Clicking a tag cycles it through include -> exclude -> off
   const toggleTagFilter = (tag) => {
     if (selectedTags.includes(tag)) {
       setSelectedTags(selectedTags.filter(t => t !== tag));
+      setExcludedTags([...excludedTags, tag]);
+    } else if (excludedTags.includes(tag)) {
+      setExcludedTags(excludedTags.filter(t => t !== tag));
     } else {
       setSelectedTags([...selectedTags, tag]);
     }
@@ -169,14 +721,147 @@ export default function Dashboard() {
 
   const clearTagFilters = () => {
     setSelectedTags([]);
+    setExcludedTags([]);
   };
 
-  // Filter bookmarks based on selected tags
-  const filteredBookmarks = selectedTags.length === 0 
-    ? bookmarks 
-    : bookmarks.filter(bookmark => 
-        bookmark.tags && bookmark.tags.some(tag => selectedTags.includes(tag))
-      );
+  const createCollection = async (name, parentId) => {
+    try {
+      const { data, error } = await supabase
+        .from('collections')
+        .insert([{ user_id: user.id, name, parent_id: parentId }])
+        .select();
+
+      if (error) throw error;
+      setCollections(prev => [...prev, data[0]]);
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      setError('Failed to create collection');
+    }
+  };
+
+  // Rename or re-parent a collection
+  const updateCollection = async (id, changes) => {
+    const previousCollections = collections;
+    setCollections(prev => prev.map(collection => (collection.id === id ? { ...collection, ...changes } : collection)));
+
+    try {
+      const { error } = await supabase
+        .from('collections')
+        .update(changes)
+        .eq('id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error updating collection:', error);
+      setError(error.message || 'Failed to update collection');
+      setCollections(previousCollections);
+    }
+  };
+
+  // Sub-collections are deleted with it; its bookmarks become unfiled
+  const deleteCollection = async (collection) => {
+    const removedIds = collectionWithDescendants(collections, collection.id);
+    const nested = removedIds.size - 1;
+    const message = nested > 0
+      ? `Delete "${collection.name}" and its ${nested} sub-collection${nested === 1 ? '' : 's'}? Bookmarks inside are kept as unfiled.`
+      : `Delete "${collection.name}"? Bookmarks inside are kept as unfiled.`;
+    if (!confirm(message)) return;
+
+    try {
+      const { error } = await supabase
+        .from('collections')
+        .delete()
+        .eq('id', collection.id);
+
+      if (error) throw error;
+
+      setCollections(prev => prev.filter(c => !removedIds.has(c.id)));
+      setBookmarks(prev => prev.map(bookmark =>
+        removedIds.has(bookmark.collection_id) ? { ...bookmark, collection_id: null } : bookmark
+      ));
+      if (removedIds.has(selectedCollection)) setSelectedCollection('all');
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      setError('Failed to delete collection');
+    }
+  };
+
+  // Dropping a dragged bookmark on the collection tree files it there (null = unfiled)
+  const handleDropOnCollection = async (e, collectionId) => {
+    e.preventDefault();
+    const bookmark = draggedItem;
+    setDraggedItem(null);
+    if (!bookmark || (bookmark.collection_id ?? null) === collectionId) return;
+
+    setBookmarks(prev => prev.map(b => (b.id === bookmark.id ? { ...b, collection_id: collectionId } : b)));
+
+    try {
+      const { error } = await supabase
+        .from('bookmarks')
+        .update({ collection_id: collectionId })
+        .eq('id', bookmark.id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error moving bookmark:', error);
+      setError('Failed to move bookmark');
+      setBookmarks(prev => prev.map(b => (b.id === bookmark.id ? { ...b, collection_id: bookmark.collection_id } : b)));
+    }
+  };
+
+  const collectionTitle = selectedCollection === 'unfiled'
+    ? 'Unfiled'
+    : visibleCollections
+      ? collectionPath(collections, selectedCollection).join(' / ')
+      : null;
+
+  const tagFilter = listFilter.tags;
+  const hasTagFilter = selectedTags.length > 0 || excludedTags.length > 0;
+
+  // The database filtered the loaded pages; this catches local edits (e.g. marking
+  // a bookmark read in the Inbox) before the list is next loaded.
+  // Placeholders stay visible while they save.
+  const listBookmarks = bookmarks.filter(bookmark => bookmark.isLoading || matchesListFilter(bookmark, listFilter));
+
+  // When searching, show matches in rank order with their highlights
+  const highlights = new Map((searchResults || []).map(result => [result.id, result]));
+  const loadedById = new Map(listBookmarks.map(bookmark => [bookmark.id, bookmark]));
+  const filteredBookmarks = searchResults === null
+    ? listBookmarks
+    : searchResults
+        .map(result => loadedById.get(result.id))
+        .filter(Boolean);
+  const isSearching = searchResults !== null;
+
+  const selectableIds = filteredBookmarks.filter(bookmark => !bookmark.isLoading).map(bookmark => bookmark.id);
+
+  // The list filter as the bulk endpoint takes it (the same fields as GET /api/v1/bookmarks)
+  const bulkFilter = {
+    collection: visibleCollections || selectedCollection === 'unfiled' ? selectedCollection : undefined,
+    view,
+    links: linkFilter || undefined,
+    tags: selectedTags,
+    not: excludedTags,
+    mode: tagMatchMode,
+  };
+
+  const {
+    selecting, startSelecting, selection, selectedCount, matchingCount, bulkStatus,
+    isSelected, handleSelect, selectAllMatching, clearSelection, stopSelecting, runBulkAction,
+  } = useBookmarkSelection({
+    userId: user?.id,
+    listFilter,
+    searchQuery,
+    selectableIds,
+    isSearching,
+    listComplete: !nextBookmark,
+    bulkFilter,
+    bookmarks,
+    setBookmarks,
+    reloadBookmarks,
+    fetchCounts,
+    showUndo,
+  });
 
   // Drag and drop handlers
   const handleDragStart = (e, bookmark) => {
@@ -189,7 +874,7 @@ export default function Dashboard() {
     e.dataTransfer.dropEffect = 'move';
   };
 
-  const handleDrop = (e, targetBookmark) => {
+  const handleDrop = async (e, targetBookmark) => {
     e.preventDefault();
     
     if (!draggedItem || draggedItem.id === targetBookmark.id) {
@@ -197,20 +882,71 @@ export default function Dashboard() {
       return;
     }
 
-    const draggedIndex = filteredBookmarks.findIndex(b => b.id === draggedItem.id);
-    const targetIndex = filteredBookmarks.findIndex(b => b.id === targetBookmark.id);
+    // Reorder the loaded pages, including rows only hidden locally
+    const previousBookmarks = bookmarks;
+    const draggedIndex = bookmarks.findIndex(b => b.id === draggedItem.id);
+    const targetIndex = bookmarks.findIndex(b => b.id === targetBookmark.id);
 
-    const newBookmarks = [...filteredBookmarks];
+    const newBookmarks = [...bookmarks];
     const [movedBookmark] = newBookmarks.splice(draggedIndex, 1);
-    newBookmarks.splice(targetIndex, 0, movedBookmark);
+    const insertIndex = newBookmarks.findIndex(b => b.id === targetBookmark.id) + (draggedIndex < targetIndex ? 1 : 0);
+    newBookmarks.splice(insertIndex, 0, movedBookmark);
+
+    // Neighbours that are saved rows (skip optimistic placeholders)
+    const before = newBookmarks.slice(0, insertIndex).reverse().find(b => !b.isLoading);
+    // Past the last loaded row, the next page's first row is the neighbour
+    const after = newBookmarks.slice(insertIndex + 1).find(b => !b.isLoading) || nextBookmark;
 
+    newBookmarks[insertIndex] = { ...movedBookmark, position: positionBetween(before, after) };
     setBookmarks(newBookmarks);
     setDraggedItem(null);
+
+    try {
+      const { data, error } = await supabase.rpc('move_bookmark', {
+        p_id: movedBookmark.id,
+        p_before: before?.id ?? null,
+        p_after: after?.id ?? null,
+      });
+
+      if (error) throw error;
+
+      // Apply the positions the database settled on (more than one row if it renumbered)
+      const positions = new Map((data || []).map(row => [row.bookmark_id, row.new_position]));
+      setBookmarks(prev => prev.map(bookmark =>
+        positions.has(bookmark.id) ? { ...bookmark, position: positions.get(bookmark.id) } : bookmark
+      ));
+    } catch (error) {
+      console.error('Error saving bookmark order:', error);
+      setError('Failed to save new order');
+      setBookmarks(previousBookmarks);
+    }
   };
 
+  // What the empty list says, most specific filter first
+  const [emptyMessage, emptyHint] = isSearching
+    ? ['No bookmarks match your search.', 'Try other words or clear the search.']
+    : hasTagFilter
+      ? ['No bookmarks match the selected tags.', 'Try different tags or clear filters.']
+      : linkFilter
+        ? [`No ${linkFilter} links here.`, 'Links are checked weekly, or now with the pulse button in the header.']
+        : {
+            inbox: ['Inbox zero - everything has been read.', 'New bookmarks show up here until you open them.'],
+            favorites: ['No favorites yet.', 'Star a bookmark to keep it here.'],
+            archive: ['Nothing archived yet.', 'Archive bookmarks you are done with to keep the list short.'],
+            trash: [
+              'The Trash is empty.',
+              TRASH_RETENTION_DAYS > 0
+                ? `Deleted bookmarks wait here for ${TRASH_RETENTION_DAYS} days before they are gone for good.`
+                : 'Deleted bookmarks wait here until you delete them forever.',
+            ],
+          }[view] || (collectionTitle
+            ? ['Nothing in this collection yet.', 'Drag bookmarks onto it in the sidebar, or add one above.']
+            : ['No bookmarks yet.', 'Add your first bookmark above!']);
+
   const handleSignOut = async () => {
     setSigningOut(true);
     try {
+      // Only this browser; the settings page signs out everywhere
       await signOut();
     } catch (error) {
       console.error('Error signing out:', error);
@@ -220,6 +956,161 @@ export default function Dashboard() {
     }
   };
 
+  // Keyboard navigation: j/k pick the active card and the other shortcuts in
+  // lib/shortcuts.js act on it
+  const activeIndex = filteredBookmarks.findIndex(bookmark => bookmark.id === activeId);
+  const activeBookmark = activeIndex === -1 ? null : filteredBookmarks[activeIndex];
+
+  const startEditing = (id, field = 'title') => {
+    setEditFocus(field);
+    setEditingId(id);
+  };
+
+  const moveActive = (step) => {
+    if (filteredBookmarks.length === 0) return;
+    const next = activeIndex === -1
+      ? (step > 0 ? 0 : filteredBookmarks.length - 1)
+      : Math.min(Math.max(activeIndex + step, 0), filteredBookmarks.length - 1);
+    setActiveId(filteredBookmarks[next].id);
+  };
+
+  // Bookmarks opened from the palette may not be loaded; realtime brings the change back
+  const openBookmark = async (bookmark) => {
+    window.open(bookmark.url, '_blank', 'noopener,noreferrer');
+    const loaded = bookmarks.find(b => b.id === bookmark.id);
+    if (loaded) {
+      markOpened(loaded);
+      return;
+    }
+    if (bookmark.read_at) return;
+
+    try {
+      const { error } = await supabase
+        .from('bookmarks')
+        .update({ read_at: new Date().toISOString() })
+        .eq('id', bookmark.id)
+        .eq('user_id', user.id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error updating bookmark:', error);
+      setError('Failed to update bookmark');
+    }
+  };
+
+  const includeTag = (tag) => {
+    setSelectedTags(prev => (prev.includes(tag) ? prev : [...prev, tag]));
+    setExcludedTags(prev => prev.filter(t => t !== tag));
+  };
+
+  const paletteActions = [
+    { id: 'add', label: 'Add a bookmark', icon: PlusCircleIcon, shortcut: 'a', run: () => addUrlRef.current?.focus() },
+    { id: 'search', label: 'Search bookmarks', icon: SearchIcon, shortcut: '/', run: () => searchRef.current?.focus() },
+    ...VIEWS.map(({ id, label, icon }) => ({ id: `view-${id}`, label: `Go to ${label}`, icon, run: () => setView(id) })),
+    ...collections.map(collection => ({
+      id: `collection-${collection.id}`,
+      label: `Go to collection ${collectionPath(collections, collection.id).join(' / ')}`,
+      icon: FolderIcon,
+      run: () => setSelectedCollection(collection.id),
+    })),
+    {
+      id: 'theme',
+      label: isDarkMode ? 'Switch to light mode' : 'Switch to dark mode',
+      icon: isDarkMode ? SunIcon : MoonIcon,
+      shortcut: 'Shift+T',
+      run: toggleTheme,
+    },
+    { id: 'select', label: 'Select bookmarks', icon: ListChecksIcon, run: startSelecting },
+    { id: 'import', label: 'Import bookmarks', icon: UploadIcon, run: () => setShowImport(true) },
+    { id: 'export', label: 'Export & backup', icon: DownloadIcon, run: () => setShowExport(true) },
+    { id: 'share', label: 'Share links', icon: Share2Icon, run: () => setShowShare(true) },
+    { id: 'tags', label: 'Manage tags', icon: TagsIcon, run: () => setShowTagManager(true) },
+    { id: 'check-links', label: 'Check all links', icon: ActivityIcon, run: checkAllLinks },
+    { id: 'settings', label: 'Open settings', icon: SettingsIcon, run: () => router.push('/settings') },
+    { id: 'shortcuts', label: 'Show keyboard shortcuts', icon: KeyboardIcon, shortcut: '?', run: () => setShowShortcuts(true) },
+    { id: 'sign-out', label: 'Sign out', icon: LogOutIcon, run: handleSignOut },
+  ];
+
+  const handleShortcut = (e) => {
+    if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      setShowPalette(open => !open);
+      return;
+    }
+    // Open dialogs handle their own keys
+    if (showPalette || showShortcuts || e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey) return;
+    if (isTypingTarget(e.target)) {
+      // Escape leaves the add and search fields so the shortcuts work again
+      if (e.key === 'Escape' && (e.target === addUrlRef.current || e.target === searchRef.current)) {
+        e.target.blur();
+      }
+      return;
+    }
+    // Buttons and links keep Enter for themselves
+    if (e.key === 'Enter' && e.target.closest?.('button, a')) return;
+
+    const actionable = activeBookmark && !activeBookmark.isLoading;
+    switch (e.key) {
+      case 'a':
+        addUrlRef.current?.focus();
+        break;
+      case '/':
+        searchRef.current?.focus();
+        break;
+      case 'j':
+        moveActive(1);
+        break;
+      case 'k':
+        moveActive(-1);
+        break;
+      case 'o':
+      case 'Enter':
+        if (!actionable) return;
+        openBookmark(activeBookmark);
+        break;
+      case 'e':
+      case 't':
+        if (!actionable || activeBookmark.deleted_at) return;
+        startEditing(activeBookmark.id, e.key === 't' ? 'tags' : 'title');
+        break;
+      case 'd':
+      case 'Delete':
+        if (!actionable || deleting) return;
+        if (activeBookmark.deleted_at) {
+          purgeBookmark(activeBookmark.id);
+        } else {
+          // The next card takes over, so j/k carry on from here
+          setActiveId((filteredBookmarks[activeIndex + 1] || filteredBookmarks[activeIndex - 1])?.id ?? null);
+          deleteBookmark(activeBookmark.id);
+        }
+        break;
+      case 'T':
+        toggleTheme();
+        break;
+      case '?':
+        setShowShortcuts(true);
+        break;
+      case 'Escape':
+        if (!activeId) return;
+        setActiveId(null);
+        document.activeElement?.blur();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  // One listener for the page's lifetime, calling the latest render's handler
+  const shortcutHandler = useRef(handleShortcut);
+  shortcutHandler.current = handleShortcut;
+
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutHandler.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
@@ -235,7 +1126,7 @@ export default function Dashboard() {
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
       {/* Header */}
       <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
-        <div className="max-w-4xl mx-auto px-4 py-4 flex justify-between items-center">
+        <div className="max-w-6xl mx-auto px-4 py-4 flex justify-between items-center">
           <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Link Saver</h1>
           <div className="flex items-center gap-4">
             <button
@@ -245,7 +1136,51 @@ export default function Dashboard() {
             >
               {isDarkMode ? <SunIcon size={20} /> : <MoonIcon size={20} />}
             </button>
-            <span className="text-gray-600 dark:text-gray-300">Welcome, {user?.email}</span>
+            <button
+              onClick={() => setShowPalette(true)}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              title="Command palette (Ctrl+K or ⌘K, ? for all shortcuts)"
+              aria-haspopup="dialog"
+            >
+              <CommandIcon size={20} />
+            </button>
+            <button
+              onClick={() => setShowImport(!showImport)}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              title="Import bookmarks"
+            >
+              <UploadIcon size={20} />
+            </button>
+            <button
+              onClick={() => setShowExport(!showExport)}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              title="Export & backup"
+            >
+              <DownloadIcon size={20} />
+            </button>
+            <button
+              onClick={checkAllLinks}
+              disabled={!!linkCheck}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-50 transition-colors"
+              title="Check all links for broken pages and redirects"
+            >
+              <ActivityIcon size={20} className={linkCheck ? 'animate-pulse' : ''} />
+            </button>
+            <button
+              onClick={() => setShowShare(!showShare)}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              title="Share links"
+            >
+              <Share2Icon size={20} />
+            </button>
+            <Link
+              href="/settings"
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              title="Settings"
+            >
+              <SettingsIcon size={20} />
+            </Link>
+            <span className="text-gray-600 dark:text-gray-300">Welcome, {userSettings.display_name || user?.email}</span>
             <button
               onClick={handleSignOut}
               disabled={signingOut}
@@ -269,184 +1204,414 @@ export default function Dashboard() {
       </header>
 
       {/* Main Content */}
-      <main className="max-w-4xl mx-auto px-4 py-8">
-        {/* Add Bookmark Form */}
-        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
-          <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Add New Bookmark</h2>
-          <form onSubmit={addBookmark} className="space-y-4">
-            <div className="flex gap-4">
-              <input
-                type="text"
-                value={newUrl}
-                onChange={(e) => setNewUrl(e.target.value)}
-                placeholder="Enter URL (e.g., https://example.com)"
-                className="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
-                disabled={saving}
-              />
-              <button
-                type="submit"
-                disabled={saving || !newUrl.trim()}
-                className="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 transition-colors"
-              >
-                <PlusIcon size={16} />
-                {saving ? 'Adding...' : 'Add'}
-              </button>
-            </div>
-            <div className="flex items-center gap-2">
-              <TagIcon size={16} className="text-gray-500 dark:text-gray-400" />
-              <input
-                type="text"
-                value={newTags}
-                onChange={(e) => setNewTags(e.target.value)}
-                placeholder="Tags (comma separated, e.g., work, articles, tools)"
-                className="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
-                disabled={saving}
-              />
-            </div>
-          </form>
-          {error && (
-            <p className="mt-2 text-red-600 dark:text-red-400 text-sm">{error}</p>
+      <main className="max-w-6xl mx-auto px-4 py-8 md:flex md:items-start md:gap-8">
+        {/* Collections Sidebar */}
+        <aside className="md:w-64 md:flex-shrink-0 md:sticky md:top-8 mb-8 md:mb-0">
+          <CollectionTree
+            collections={collections}
+            counts={counts.collections}
+            totalCount={counts.total}
+            unfiledCount={counts.unfiled}
+            selected={isCollectionId(selectedCollection) || selectedCollection === 'unfiled' ? selectedCollection : 'all'}
+            onSelect={setSelectedCollection}
+            onCreate={createCollection}
+            onRename={(id, name) => updateCollection(id, { name })}
+            onDelete={deleteCollection}
+            onMove={(id, parentId) => updateCollection(id, { parent_id: parentId })}
+            onDragOver={handleDragOver}
+            onDropBookmark={handleDropOnCollection}
+          />
+        </aside>
+
+        <div className="flex-1 min-w-0">
+          {showImport && (
+            <ImportBookmarks
+              loadExistingUrls={loadExistingUrls}
+              onImport={importBookmarks}
+              onClose={() => setShowImport(false)}
+            />
           )}
-        </div>
 
-        {/* Tag Filters */}
-        {availableTags.length > 0 && (
+          {showExport && (
+            <ExportBookmarks
+              tagFilter={tagFilter}
+              onRestored={() => {
+                reloadBookmarks();
+                fetchCollections();
+              }}
+              onClose={() => setShowExport(false)}
+            />
+          )}
+
+          {showShare && (
+            <ShareLinks
+              collections={collections}
+              initial={{
+                collectionId: visibleCollections ? selectedCollection : null,
+                tags: selectedTags,
+                matchAll: tagMatchMode === 'all',
+              }}
+              onClose={() => setShowShare(false)}
+            />
+          )}
+
+          {/* Add Bookmark Form */}
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
-            <div className="flex items-center justify-between mb-4">
-              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Filter by Tags</h2>
-              {selectedTags.length > 0 && (
+            <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Add New Bookmark</h2>
+            <form onSubmit={addBookmark} className="space-y-4">
+              <div className="flex gap-4">
+                <input
+                  ref={addUrlRef}
+                  type="text"
+                  value={newUrl}
+                  onChange={(e) => setNewUrl(e.target.value)}
+                  placeholder="Enter URL (e.g., https://example.com)"
+                  aria-label="URL to bookmark"
+                  className="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
+                  disabled={saving}
+                />
                 <button
-                  onClick={clearTagFilters}
-                  className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 flex items-center gap-1"
+                  type="submit"
+                  disabled={saving || !newUrl.trim()}
+                  className="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 transition-colors"
                 >
-                  <XIcon size={14} />
-                  Clear filters
+                  <PlusIcon size={16} />
+                  {saving ? 'Adding...' : 'Add'}
                 </button>
+              </div>
+              <div className="flex items-center gap-2">
+                <TagIcon size={16} className="text-gray-500 dark:text-gray-400" />
+                <TagInput
+                  value={newTags}
+                  onChange={setNewTags}
+                  vocabulary={vocabulary}
+                  placeholder="Tags (comma separated, e.g., work, articles, tools)"
+                  aria-label="Tags"
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
+                  disabled={saving}
+                />
+              </div>
+              {tagSuggestions.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 pl-6">
+                  <span className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                    <SparklesIcon size={12} />
+                    Suggested:
+                  </span>
+                  {tagSuggestions.map(({ tag, existing, confident }) => (
+                    <button
+                      key={tag}
+                      type="button"
+                      onClick={() => setNewTags([...parseTags(newTags), tag].join(', '))}
+                      className={`px-2 py-1 text-xs rounded-full border transition-colors ${
+                        existing
+                          ? 'border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/40 text-blue-700 dark:text-blue-200 hover:bg-blue-100 dark:hover:bg-blue-900'
+                          : 'border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                      } ${confident && autoApplyTags ? 'ring-1 ring-blue-400' : ''}`}
+                      title={`${existing ? 'One of your tags' : 'New tag'}${confident ? ', strong match' : ''}${confident && autoApplyTags ? ' (added automatically when saved)' : ''}`}
+                    >
+                      + {tag}
+                    </button>
+                  ))}
+                  <label className="ml-auto flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                    <input
+                      type="checkbox"
+                      checked={autoApplyTags}
+                      onChange={(e) => toggleAutoApplyTags(e.target.checked)}
+                      className="rounded border-gray-300 dark:border-gray-600"
+                    />
+                    Auto-add strong matches
+                  </label>
+                </div>
+              )}
+            </form>
+            {error && (
+              <p className="mt-2 text-red-600 dark:text-red-400 text-sm">{error}</p>
+            )}
+            {duplicate && (
+              <DuplicateBookmarkNotice
+                existing={duplicate.existing}
+                tags={duplicate.tags}
+                onOpen={() => resolveDuplicate('open')}
+                onMergeTags={() => resolveDuplicate('merge')}
+                onUpdate={() => resolveDuplicate('update')}
+                onDismiss={() => setDuplicate(null)}
+              />
+            )}
+          </div>
+
+          {/* Search */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+            <div className="relative">
+              <SearchIcon size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 dark:text-gray-500" />
+              <input
+                ref={searchRef}
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search titles, URLs, summaries and tags"
+                aria-label="Search bookmarks"
+                className="w-full pl-10 pr-10 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors"
+              />
+              {searching && (
+                <div className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 border-2 border-gray-300 border-t-blue-500 rounded-full animate-spin"></div>
+              )}
+            </div>
+            {isSearching && (
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {filteredBookmarks.length} {filteredBookmarks.length === 1 ? 'result' : 'results'} for &ldquo;{searchQuery.trim()}&rdquo;
+                {hasTagFilter && ' in the selected tags'}
+              </p>
+            )}
+          </div>
+
+          {showTagManager && (
+            <TagManager
+              onChanged={reloadBookmarks}
+              onClose={() => setShowTagManager(false)}
+            />
+          )}
+
+          {/* Tag Filters */}
+          {tagCounts.length > 0 && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+              <div className="flex items-center justify-between mb-4 gap-4">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Filter by Tags</h2>
+                <div className="flex items-center gap-4">
+                  {selectedTags.length > 1 && (
+                    <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-sm" role="group" aria-label="Tag match mode">
+                      {[['any', 'Any'], ['all', 'All']].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          onClick={() => setTagMatchMode(mode)}
+                          aria-pressed={tagMatchMode === mode}
+                          className={`px-3 py-1 transition-colors ${
+                            tagMatchMode === mode
+                              ? 'bg-blue-500 text-white'
+                              : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                          }`}
+                          title={mode === 'any' ? 'Match any selected tag (OR)' : 'Match all selected tags (AND)'}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {hasTagFilter && (
+                    <button
+                      onClick={clearTagFilters}
+                      className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 flex items-center gap-1"
+                    >
+                      <XIcon size={14} />
+                      Clear filters
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setShowTagManager(!showTagManager)}
+                    className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 flex items-center gap-1"
+                  >
+                    <TagsIcon size={14} />
+                    Manage
+                  </button>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {tagCounts.map(({ tag, count }) => (
+                  <button
+                    key={tag}
+                    onClick={() => toggleTagFilter(tag)}
+                    aria-pressed={selectedTags.includes(tag) || excludedTags.includes(tag)}
+                    title={
+                      selectedTags.includes(tag)
+                        ? `Showing "${tag}" - click to exclude it`
+                        : excludedTags.includes(tag)
+                          ? `Hiding "${tag}" - click to clear`
+                          : `Show bookmarks tagged "${tag}"`
+                    }
+                    className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                      selectedTags.includes(tag)
+                        ? 'bg-blue-500 text-white'
+                        : excludedTags.includes(tag)
+                          ? 'bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-200 line-through'
+                          : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'
+                    }`}
+                  >
+                    {excludedTags.includes(tag) && 'not '}{tag}
+                    <span className="ml-1 text-xs opacity-60">{count}</span>
+                  </button>
+                ))}
+              </div>
+              {hasTagFilter && (
+                <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                  Click a tag once to include it, again to exclude it, and a third time to clear it.
+                </p>
               )}
             </div>
-            <div className="flex flex-wrap gap-2">
-              {availableTags.map(tag => (
+          )}
+
+          {/* Reading List Views */}
+          <div role="tablist" aria-label="Reading list" className="flex flex-wrap gap-2 mb-4">
+            {VIEWS.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                role="tab"
+                aria-selected={view === id}
+                onClick={() => setView(id)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium flex items-center gap-2 transition-colors ${
+                  view === id
+                    ? 'bg-blue-500 text-white'
+                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 shadow-sm'
+                }`}
+              >
+                <Icon size={14} />
+                {label}
+                <span className={`text-xs ${view === id ? 'text-blue-100' : 'text-gray-400 dark:text-gray-500'}`}>
+                  {counts.views[id]}
+                </span>
+              </button>
+            ))}
+            {[['broken', 'Broken links'], ['redirected', 'Redirected']].map(([health, label]) => (
+              (counts.links[health] > 0 || linkFilter === health) && (
                 <button
-                  key={tag}
-                  onClick={() => toggleTagFilter(tag)}
-                  className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
-                    selectedTags.includes(tag)
-                      ? 'bg-blue-500 text-white'
-                      : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'
+                  key={health}
+                  onClick={() => setLinkFilter(linkFilter === health ? null : health)}
+                  aria-pressed={linkFilter === health}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-medium flex items-center gap-2 transition-colors ${
+                    linkFilter === health
+                      ? health === 'broken' ? 'bg-red-500 text-white' : 'bg-amber-500 text-white'
+                      : health === 'broken'
+                        ? 'bg-white dark:bg-gray-800 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-gray-700 shadow-sm'
+                        : 'bg-white dark:bg-gray-800 text-amber-700 dark:text-amber-400 hover:bg-amber-50 dark:hover:bg-gray-700 shadow-sm'
                   }`}
                 >
-                  {tag}
+                  {label}
+                  <span className="text-xs opacity-75">{counts.links[health]}</span>
                 </button>
-              ))}
-            </div>
+              )
+            ))}
           </div>
-        )}
-
-        {/* Bookmarks List */}
-        <div className="space-y-4">
-          {filteredBookmarks.length === 0 ? (
-            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-12 text-center transition-colors duration-200">
-              <p className="text-gray-500 dark:text-gray-400 text-lg">
-                {selectedTags.length > 0 ? 'No bookmarks match the selected tags.' : 'No bookmarks yet.'}
-              </p>
-              <p className="text-gray-400 dark:text-gray-500 mt-2">
-                {selectedTags.length > 0 ? 'Try different tags or clear filters.' : 'Add your first bookmark above!'}
-              </p>
-            </div>
-          ) : (
-            <>
-              <div className="text-sm text-gray-500 dark:text-gray-400 mb-4">
-                💡 Tip: Drag bookmarks to reorder them
+          {linkCheck && (
+            <p className="mb-4 text-sm text-gray-500 dark:text-gray-400 flex items-center gap-2">
+              <span className="w-3 h-3 border border-gray-300 border-t-blue-500 rounded-full animate-spin"></span>
+              Checking links... {linkCheck.done} / {linkCheck.total}
+            </p>
+          )}
+
+          {/* Bookmarks List */}
+          <div>
+            {filteredBookmarks.length === 0 ? (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-12 text-center transition-colors duration-200">
+                <p className="text-gray-500 dark:text-gray-400 text-lg">{emptyMessage}</p>
+                <p className="text-gray-400 dark:text-gray-500 mt-2">{emptyHint}</p>
               </div>
-              {filteredBookmarks.map((bookmark) => (
-                <div 
-                  key={bookmark.id} 
-                  className={`bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 transition-all duration-200 ${
-                    bookmark.isLoading ? 'opacity-75' : 'cursor-move hover:shadow-md'
-                  }`}
-                  draggable={!bookmark.isLoading}
-                  onDragStart={(e) => !bookmark.isLoading && handleDragStart(e, bookmark)}
-                  onDragOver={!bookmark.isLoading ? handleDragOver : undefined}
-                  onDrop={(e) => !bookmark.isLoading && handleDrop(e, bookmark)}
-                >
-                  <div className="flex items-start justify-between gap-4">
-                    <div className="flex-1 min-w-0 overflow-hidden">
-                      <div className="flex items-center gap-3 mb-2">
-                        <Image
-                          src={bookmark.favicon}
-                          alt=""
-                          width={20}
-                          height={20}
-                          className="w-5 h-5 flex-shrink-0"
-                          onError={(e) => {
-                            e.currentTarget.src = '/favicon.ico';
-                          }}
-                        />
-                        <h3 className="font-semibold text-gray-900 dark:text-white truncate flex items-center gap-2">
-                          {bookmark.title}
-                          {bookmark.isLoading && (
-                            <div className="w-4 h-4 border-2 border-gray-300 border-t-blue-500 rounded-full animate-spin"></div>
-                          )}
-                        </h3>
-                      </div>
-                      <a
-                        href={bookmark.url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="text-blue-500 hover:text-blue-600 dark:text-blue-400 dark:hover:text-blue-300 text-sm flex items-center gap-1 mb-3 transition-colors break-all"
-                      >
-                        <span className="truncate">{bookmark.url}</span>
-                        <ExternalLinkIcon size={12} className="flex-shrink-0" />
-                      </a>
-                      <p className="text-gray-600 dark:text-gray-300 text-sm leading-relaxed mb-3 break-words whitespace-pre-wrap">
-                        {bookmark.isLoading ? (
-                          <span className="flex items-center gap-2">
-                            {bookmark.summary}
-                            <div className="w-3 h-3 border border-gray-300 border-t-blue-500 rounded-full animate-spin"></div>
-                          </span>
-                        ) : (
-                          bookmark.summary
-                        )}
-                      </p>
-                      {bookmark.tags && bookmark.tags.length > 0 && (
-                        <div className="flex flex-wrap gap-1 mb-3">
-                          {bookmark.tags.map(tag => (
-                            <span
-                              key={tag}
-                              className="px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-xs rounded-full"
-                            >
-                              {tag}
-                            </span>
-                          ))}
-                        </div>
-                      )}
-                      <p className="text-gray-400 dark:text-gray-500 text-xs">
-                        Added {new Date(bookmark.created_at).toLocaleDateString()}
-                      </p>
-                    </div>
+            ) : (
+              <>
+                <div className="text-sm text-gray-500 dark:text-gray-400 mb-4 flex items-center gap-4">
+                  <span>
+                    {collectionTitle && <span className="font-medium text-gray-700 dark:text-gray-300">{collectionTitle} · </span>}
+                    {isSearching
+                      ? '🔎 Sorted by relevance'
+                      : view === 'trash'
+                        ? `🗑️ ${TRASH_RETENTION_DAYS > 0 ? `Deleted forever after ${TRASH_RETENTION_DAYS} days in the Trash` : 'Kept until deleted forever'}`
+                        : '💡 Tip: Drag bookmarks to reorder them or onto a collection'}
+                  </span>
+                  {view === 'trash' && (
+                    <button
+                      onClick={() => emptyTrash(bulkFilter)}
+                      className="ml-auto flex items-center gap-1 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
+                    >
+                      <Trash2Icon size={14} />
+                      Empty Trash
+                    </button>
+                  )}
+                  {!selecting && (
                     <button
-                      onClick={() => deleteBookmark(bookmark.id)}
-                      disabled={deleting === bookmark.id || bookmark.isLoading}
-                      className={`p-2 transition-colors flex-shrink-0 ${
-                        deleting === bookmark.id || bookmark.isLoading
-                          ? 'text-gray-400 cursor-not-allowed' 
-                          : 'text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300'
-                      }`}
-                      title={deleting === bookmark.id ? 'Deleting...' : bookmark.isLoading ? 'Processing...' : 'Delete bookmark'}
+                      onClick={startSelecting}
+                      className={`${view === 'trash' ? '' : 'ml-auto '}flex items-center gap-1 hover:text-gray-700 dark:hover:text-gray-200 transition-colors`}
                     >
-                      {deleting === bookmark.id ? (
-                        <div className="w-4 h-4 border-2 border-gray-300 border-t-gray-600 rounded-full animate-spin"></div>
-                      ) : (
-                        <TrashIcon size={16} />
-                      )}
+                      <ListChecksIcon size={14} />
+                      Select
                     </button>
-                  </div>
+                  )}
                 </div>
-              ))}
-            </>
-          )}
+                {selecting && (
+                  <BulkActions
+                    count={selectedCount}
+                    inTrash={view === 'trash'}
+                    allMatching={selection.allMatching}
+                    matchingCount={isSearching || !nextBookmark ? selectableIds.length : matchingCount}
+                    canSelectAll={!selection.allMatching && (!!nextBookmark || selection.ids.size < selectableIds.length)}
+                    collections={collections}
+                    vocabulary={vocabulary}
+                    status={bulkStatus}
+                    onSelectAll={selectAllMatching}
+                    onClear={clearSelection}
+                    onClose={stopSelecting}
+                    onAction={runBulkAction}
+                  />
+                )}
+                <VirtualList
+                  items={filteredBookmarks}
+                  getKey={bookmark => bookmark.id}
+                  // Cards being dragged or edited must survive scrolling out of view
+                  keepMounted={[draggedItem?.id, editingId, activeId].filter(Boolean)}
+                  scrollToKey={activeId}
+                  label="Bookmarks"
+                  onEndReached={loadMore}
+                  renderItem={(bookmark) => (
+                    <BookmarkCard
+                      bookmark={bookmark}
+                      highlight={highlights.get(bookmark.id)}
+                      canReorder={!isSearching}
+                      isEditing={editingId === bookmark.id}
+                      editFocus={editFocus}
+                      isActive={activeId === bookmark.id}
+                      isDeleting={deleting === bookmark.id}
+                      selectable={selecting}
+                      isSelected={isSelected(bookmark.id)}
+                      onSelect={(e) => handleSelect(bookmark, e)}
+                      onEdit={() => startEditing(bookmark.id)}
+                      onCancelEdit={() => setEditingId(null)}
+                      onSave={(changes, options) => updateBookmark(bookmark.id, changes, options)}
+                      onDelete={() => deleteBookmark(bookmark.id)}
+                      onRestore={() => restoreBookmark(bookmark.id)}
+                      onPurge={() => purgeBookmark(bookmark.id)}
+                      onRegenerateSummary={() => regenerateSummary(bookmark.id)}
+                      onOpen={() => markOpened(bookmark)}
+                      onToggleRead={() => setReadingState(bookmark.id, { read_at: bookmark.read_at ? null : new Date().toISOString() })}
+                      onToggleFavorite={() => setReadingState(bookmark.id, { is_favorite: !bookmark.is_favorite })}
+                      onCheckLink={() => checkLinks([bookmark.id])}
+                      onUpdateToRedirect={() => updateToRedirectedUrl(bookmark)}
+                      onToggleArchive={() => setReadingState(bookmark.id, { archived_at: bookmark.archived_at ? null : new Date().toISOString() })}
+                      onDragStart={handleDragStart}
+                      onDragOver={handleDragOver}
+                      onDrop={handleDrop}
+                    />
+                  )}
+                />
+                {loadingMore && (
+                  <p className="mt-4 text-sm text-gray-500 dark:text-gray-400 flex items-center justify-center gap-2">
+                    <span className="w-3 h-3 border border-gray-300 border-t-blue-500 rounded-full animate-spin"></span>
+                    Loading more...
+                  </p>
+                )}
+              </>
+            )}
+          </div>
         </div>
       </main>
+
+      <UndoToast toast={undo} onUndo={undoDelete} onDismiss={dismissUndo} />
+
+      {showPalette && (
+        <CommandPalette
+          actions={paletteActions}
+          tags={vocabulary.map(({ tag }) => tag)}
+          onFilterTag={includeTag}
+          onOpenBookmark={openBookmark}
+          onClose={() => setShowPalette(false)}
+        />
+      )}
+      {showShortcuts && <ShortcutsHelp onClose={() => setShowShortcuts(false)} />}
     </div>
   );
 }
@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { CheckIcon } from 'lucide-react';
+import { fetchSummaryProviders, parseTags } from '../lib/utils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+
+// Default tags for new bookmarks and the summary provider to try first
+export default function DefaultSettings({ settings, onSave }) {
+  const [tags, setTags] = useState(settings.default_tags.join(', '));
+  const [provider, setProvider] = useState(settings.summary_provider || '');
+  const [providers, setProviders] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadProviders = async () => {
+      try {
+        setProviders(await fetchSummaryProviders());
+      } catch (error) {
+        console.error('Error loading summary providers:', error);
+        setError('Failed to load summary providers');
+      }
+    };
+
+    loadProviders();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const saved = await onSave({ default_tags: parseTags(tags), summary_provider: provider || null });
+      setTags(saved.default_tags.join(', '));
+      setMessage('Defaults saved.');
+    } catch (error) {
+      console.error('Error saving defaults:', error);
+      setError('Failed to save defaults');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Defaults</h2>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="default-tags" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Default tags
+          </label>
+          <input
+            id="default-tags"
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Comma separated, e.g. to-read"
+            aria-describedby="default-tags-help"
+            className={inputClassName}
+          />
+          <p id="default-tags-help" className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            The add form starts with these, and links saved without tags from the bookmarklet or the API get them.
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="summary-provider" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Summary provider
+          </label>
+          <select
+            id="summary-provider"
+            value={provider}
+            onChange={(e) => setProvider(e.target.value)}
+            aria-describedby="summary-provider-help"
+            className={inputClassName}
+          >
+            <option value="">Server default</option>
+            {providers.map(({ name, label, configured }) => (
+              <option key={name} value={name} disabled={!configured && name !== provider}>
+                {label}{configured ? '' : ' (not configured on this server)'}
+              </option>
+            ))}
+          </select>
+          <p id="summary-provider-help" className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Tried first for new summaries; the server&apos;s providers take over if it fails.
+          </p>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors"
+        >
+          <CheckIcon size={14} />
+          {saving ? 'Saving...' : 'Save defaults'}
+        </button>
+      </form>
+
+      {message && <p role="status" className="mt-4 text-sm text-green-600 dark:text-green-400">{message}</p>}
+      {error && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
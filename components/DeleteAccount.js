@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import { AlertTriangleIcon, TrashIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { requestAccountDeletion } from '../lib/utils';
+
+// Permanently deletes the account and everything in it, once the user types their email
+export default function DeleteAccount() {
+  const { user, signOut } = useAuth();
+  const router = useRouter();
+  const [confirmation, setConfirmation] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const confirmed = confirmation.trim().toLowerCase() === (user.email || '').toLowerCase();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!confirmed) return;
+
+    setDeleting(true);
+    setError('');
+
+    try {
+      await requestAccountDeletion(confirmation.trim());
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      setError(error.message || 'Failed to delete account');
+      setDeleting(false);
+      return;
+    }
+
+    // The session went with the account; this only clears it from the browser
+    await signOut();
+    router.replace('/');
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 border border-red-200 dark:border-red-900 transition-colors duration-200">
+      <h2 className="text-lg font-semibold mb-4 text-red-600 dark:text-red-400 flex items-center gap-2">
+        <AlertTriangleIcon size={18} />
+        Delete account
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        This permanently deletes your account with all of its bookmarks, summaries, saved copies, collections, share links, access tokens and settings, and signs you out everywhere. It cannot be undone; export a backup first if you may want your bookmarks later.
+      </p>
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap gap-2">
+        <label htmlFor="delete-account-email" className="sr-only">
+          Type your email address to confirm
+        </label>
+        <input
+          id="delete-account-email"
+          type="email"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          placeholder={`Type ${user.email} to confirm`}
+          autoComplete="off"
+          disabled={deleting}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors"
+        />
+        <button
+          type="submit"
+          disabled={deleting || !confirmed}
+          className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors"
+        >
+          <TrashIcon size={14} />
+          {deleting ? 'Deleting...' : 'Delete my account'}
+        </button>
+      </form>
+
+      {error && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
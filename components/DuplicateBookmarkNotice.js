@@ -0,0 +1,51 @@
+import { CopyIcon, ExternalLinkIcon, RefreshCwIcon, TagIcon, XIcon } from 'lucide-react';
+
+const actionClassName = 'px-3 py-1.5 rounded-lg text-sm flex items-center gap-1.5 bg-white dark:bg-gray-700 border border-amber-300 dark:border-amber-700 text-gray-700 dark:text-gray-200 hover:bg-amber-100 dark:hover:bg-gray-600 transition-colors';
+
+export default function DuplicateBookmarkNotice({ existing, tags, onOpen, onMergeTags, onUpdate, onDismiss }) {
+  const newTags = tags.filter(tag => !(existing.tags || []).includes(tag));
+
+  return (
+    <div
+      role="alertdialog"
+      aria-labelledby="duplicate-title"
+      className="mt-4 p-4 rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/30"
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <p id="duplicate-title" className="text-sm font-medium text-amber-800 dark:text-amber-200 flex items-center gap-2">
+            <CopyIcon size={14} />
+            You already saved this link
+          </p>
+          <p className="mt-1 text-sm text-gray-900 dark:text-white truncate">{existing.title}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+            {existing.url} · added {new Date(existing.created_at).toLocaleDateString()}
+          </p>
+        </div>
+        <button
+          onClick={onDismiss}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          title="Dismiss"
+        >
+          <XIcon size={16} />
+        </button>
+      </div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button onClick={onOpen} className={actionClassName}>
+          <ExternalLinkIcon size={14} />
+          Open
+        </button>
+        {newTags.length > 0 && (
+          <button onClick={onMergeTags} className={actionClassName}>
+            <TagIcon size={14} />
+            Add tags: {newTags.join(', ')}
+          </button>
+        )}
+        <button onClick={onUpdate} className={actionClassName}>
+          <RefreshCwIcon size={14} />
+          Update existing
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { CheckIcon, XIcon } from 'lucide-react';
+import { parseTags } from '../lib/utils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+
+// `initialFocus` picks the field to start in: 'title' or 'tags'
+export default function EditBookmarkForm({ bookmark, onSave, onCancel, initialFocus = 'title' }) {
+  const [title, setTitle] = useState(bookmark.title || '');
+  const [url, setUrl] = useState(bookmark.url || '');
+  const [tags, setTags] = useState((bookmark.tags || []).join(', '));
+  const [summary, setSummary] = useState(bookmark.summary || '');
+  const [refreshDetails, setRefreshDetails] = useState(true);
+  const [error, setError] = useState('');
+
+  const urlChanged = url.trim() !== bookmark.url;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+
+    let normalizedUrl;
+    try {
+      normalizedUrl = new URL(url.trim().startsWith('http') ? url.trim() : `https://${url.trim()}`).href;
+    } catch (error) {
+      setError('Please enter a valid URL.');
+      return;
+    }
+
+    if (!title.trim()) {
+      setError('Title cannot be empty.');
+      return;
+    }
+
+    onSave(
+      {
+        title: title.trim(),
+        url: normalizedUrl,
+        tags: parseTags(tags),
+        summary: summary.trim(),
+      },
+      { refreshDetails: urlChanged && refreshDetails }
+    );
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} onKeyDown={handleKeyDown} className="space-y-3">
+      <div>
+        <label htmlFor={`title-${bookmark.id}`} className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+          Title
+        </label>
+        <input
+          id={`title-${bookmark.id}`}
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className={inputClassName}
+          autoFocus={initialFocus === 'title'}
+        />
+      </div>
+      <div>
+        <label htmlFor={`url-${bookmark.id}`} className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+          URL
+        </label>
+        <input
+          id={`url-${bookmark.id}`}
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          className={inputClassName}
+        />
+        {urlChanged && (
+          <label className="mt-2 flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={refreshDetails}
+              onChange={(e) => setRefreshDetails(e.target.checked)}
+              className="rounded border-gray-300 dark:border-gray-600"
+            />
+            Refresh title and summary from the new URL
+          </label>
+        )}
+      </div>
+      <div>
+        <label htmlFor={`tags-${bookmark.id}`} className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+          Tags
+        </label>
+        <input
+          id={`tags-${bookmark.id}`}
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Comma separated"
+          className={inputClassName}
+          autoFocus={initialFocus === 'tags'}
+        />
+      </div>
+      <div>
+        <label htmlFor={`summary-${bookmark.id}`} className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+          Summary
+        </label>
+        <textarea
+          id={`summary-${bookmark.id}`}
+          value={summary}
+          onChange={(e) => setSummary(e.target.value)}
+          rows={4}
+          className={inputClassName}
+        />
+      </div>
+      {error && (
+        <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>
+      )}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 flex items-center gap-2 text-sm transition-colors"
+        >
+          <CheckIcon size={14} />
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-sm transition-colors"
+        >
+          <XIcon size={14} />
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,223 @@
+import { useState } from 'react';
+import { ArchiveIcon, DownloadIcon, XIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { supabase } from '../lib/supabase';
+import { dateStamp, downloadFile } from '../lib/download';
+import { EXPORT_FORMATS, createBackup, prepareRestore } from '../lib/exporters';
+import { matchesTagFilter } from '../lib/utils';
+
+const RESTORE_BATCH_SIZE = 100;
+// Bookmarks are read a page at a time (PostgREST caps rows per request)
+const EXPORT_PAGE_SIZE = 1000;
+
+export default function ExportBookmarks({ tagFilter, onRestored, onClose }) {
+  const hasTagFilter = tagFilter.include.length > 0 || tagFilter.exclude.length > 0;
+  const { user } = useAuth();
+  const [onlyFiltered, setOnlyFiltered] = useState(false);
+  const [busy, setBusy] = useState(null); // format being exported, 'backup' or 'restore'
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadBookmarks = async ({ filtered }) => {
+    const rows = [];
+    for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('bookmarks')
+        .select('*')
+        .eq('user_id', user.id)
+        .is('deleted_at', null)
+        .order('position', { ascending: true, nullsFirst: false })
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...data);
+      if (data.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    // Same include/exclude/any/all rules as the dashboard filter
+    return filtered && hasTagFilter
+      ? rows.filter(bookmark => matchesTagFilter(bookmark.tags, tagFilter))
+      : rows;
+  };
+
+  const loadCollections = async () => {
+    const { data, error } = await supabase
+      .from('collections')
+      .select('id, parent_id, name')
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+    return data || [];
+  };
+
+  const handleExport = async (format) => {
+    setBusy(format);
+    setError('');
+    setMessage('');
+
+    try {
+      const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+      const bookmarks = await loadBookmarks({ filtered: onlyFiltered });
+      downloadFile(`bookmarks-${dateStamp()}.${extension}`, serialize(bookmarks), mimeType);
+      setMessage(`Exported ${bookmarks.length} bookmarks.`);
+    } catch (error) {
+      console.error('Error exporting bookmarks:', error);
+      setError('Failed to export bookmarks');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleBackup = async () => {
+    setBusy('backup');
+    setError('');
+    setMessage('');
+
+    try {
+      const [bookmarks, collections] = await Promise.all([loadBookmarks({ filtered: false }), loadCollections()]);
+      downloadFile(`link-saver-backup-${dateStamp()}.json`, createBackup(bookmarks, collections), 'application/json');
+      setMessage(`Backed up ${bookmarks.length} bookmarks.`);
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      setError('Failed to create backup');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRestore = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy('restore');
+    setError('');
+    setMessage('');
+
+    try {
+      const [existing, existingCollections] = await Promise.all([loadBookmarks({ filtered: false }), loadCollections()]);
+      const { rows, skipped, collections } = prepareRestore(
+        await file.text(),
+        existing.map(bookmark => bookmark.url),
+        existingCollections
+      );
+
+      // Parents come before their children, so one insert is enough
+      if (collections.length > 0) {
+        const { error } = await supabase
+          .from('collections')
+          .insert(collections.map(collection => ({ ...collection, user_id: user.id })));
+
+        if (error) throw error;
+      }
+
+      // Rows whose URL is already saved are left alone; only inserted ones come back
+      let restored = 0;
+      for (let i = 0; i < rows.length; i += RESTORE_BATCH_SIZE) {
+        const batch = rows.slice(i, i + RESTORE_BATCH_SIZE).map(row => ({ ...row, user_id: user.id }));
+        const { data, error } = await supabase
+          .from('bookmarks')
+          .upsert(batch, { onConflict: 'user_id,normalized_url', ignoreDuplicates: true, defaultToNull: false })
+          .select('id');
+
+        if (error) throw error;
+        restored += data.length;
+      }
+
+      const alreadySaved = skipped + rows.length - restored;
+      setMessage(`Restored ${restored} bookmarks${alreadySaved > 0 ? `, skipped ${alreadySaved} already saved` : ''}.`);
+      onRestored();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      setError(error.message || 'Failed to restore backup');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Export &amp; Backup</h2>
+        <button
+          onClick={onClose}
+          disabled={busy === 'restore'}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+          title="Close export"
+        >
+          <XIcon size={18} />
+        </button>
+      </div>
+
+      <div className="space-y-6">
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Export</h3>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={busy !== null}
+                className="px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 flex items-center gap-2 text-sm transition-colors"
+              >
+                <DownloadIcon size={14} />
+                {busy === format ? 'Exporting...' : label}
+              </button>
+            ))}
+          </div>
+          {hasTagFilter && (
+            <label className="mt-3 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={onlyFiltered}
+                onChange={(e) => setOnlyFiltered(e.target.checked)}
+                className="rounded border-gray-300 dark:border-gray-600"
+              />
+              Only bookmarks matching the tag filter
+              {tagFilter.include.length > 0 && <> ({tagFilter.include.join(tagFilter.mode === 'all' ? ' and ' : ' or ')})</>}
+              {tagFilter.exclude.length > 0 && <>, without {tagFilter.exclude.join(', ')}</>}
+            </label>
+          )}
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Full backup</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+            Includes summaries, previews, collections, order and dates. Restoring skips links that are already saved, so it is safe to run twice or into another account.
+          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={handleBackup}
+              disabled={busy !== null}
+              className="px-4 py-2 rounded-lg bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 flex items-center gap-2 text-sm transition-colors"
+            >
+              <ArchiveIcon size={14} />
+              {busy === 'backup' ? 'Preparing...' : 'Download backup'}
+            </button>
+            <label className={`px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 text-sm transition-colors ${
+              busy !== null ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}>
+              {busy === 'restore' ? 'Restoring...' : 'Restore from backup'}
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handleRestore}
+                disabled={busy !== null}
+                className="sr-only"
+              />
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {message && (
+        <p className="mt-4 text-green-700 dark:text-green-300 text-sm">{message}</p>
+      )}
+      {error && (
+        <p className="mt-4 text-red-600 dark:text-red-400 text-sm">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { splitHighlights, stripHighlights } from '../lib/search';
+
+// Renders `text`, marking the search matches from `highlighted` when it still matches the text
+export default function Highlight({ text, highlighted }) {
+  if (!highlighted || stripHighlights(highlighted) !== (text || '')) {
+    return <>{text}</>;
+  }
+
+  return (
+    <>
+      {splitHighlights(highlighted).map((part, index) => (
+        part.match ? (
+          <mark key={index} className="bg-yellow-200 dark:bg-yellow-600 text-gray-900 dark:text-white rounded-sm px-0.5">
+            {part.text}
+          </mark>
+        ) : (
+          <span key={index}>{part.text}</span>
+        )
+      ))}
+    </>
+  );
+}
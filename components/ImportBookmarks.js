@@ -0,0 +1,232 @@
+import { useState } from 'react';
+import { UploadIcon, XIcon } from 'lucide-react';
+import { markDuplicates, parseImport } from '../lib/importers';
+import { parseTags } from '../lib/utils';
+
+const FORMAT_LABELS = {
+  netscape: 'Browser bookmarks (HTML)',
+  csv: 'CSV (Pocket, Raindrop, ...)',
+  urls: 'Plain URL list',
+};
+
+// Only the first rows are rendered; the rest are still imported
+const PREVIEW_LIMIT = 200;
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+
+export default function ImportBookmarks({ loadExistingUrls, onImport, onClose }) {
+  const [text, setText] = useState('');
+  const [filename, setFilename] = useState('');
+  const [preview, setPreview] = useState(null); // { format, items }
+  const [selected, setSelected] = useState(new Set());
+  const [extraTags, setExtraTags] = useState('');
+  const [parsing, setParsing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFilename(file.name);
+    setText(await file.text());
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setError('');
+    setParsing(true);
+
+    try {
+      const { format, items } = parseImport(text, filename);
+      if (items.length === 0) {
+        setError('No bookmarks found. Supported formats: browser HTML export, Pocket/Raindrop CSV, one URL per line.');
+        return;
+      }
+
+      const marked = markDuplicates(items, await loadExistingUrls());
+      setPreview({ format, items: marked });
+      setSelected(new Set(marked.map((item, index) => (item.duplicate ? null : index)).filter(index => index !== null)));
+    } catch (error) {
+      console.error('Error parsing import:', error);
+      setError('Could not read this file.');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const toggleItem = (index) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    const tags = parseTags(extraTags);
+    const items = preview.items
+      .filter((_, index) => selected.has(index))
+      .map(({ duplicate, ...item }) => ({ ...item, tags: Array.from(new Set([...item.tags, ...tags])) }));
+
+    setImporting(true);
+    setError('');
+    setProgress({ done: 0, total: items.length });
+
+    try {
+      await onImport(items, (done) => setProgress({ done, total: items.length }));
+      onClose();
+    } catch (error) {
+      console.error('Error importing bookmarks:', error);
+      setError(`Import stopped: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const duplicateCount = preview ? preview.items.filter(item => item.duplicate).length : 0;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Import Bookmarks</h2>
+        <button
+          onClick={onClose}
+          disabled={importing}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+          title="Close import"
+        >
+          <XIcon size={18} />
+        </button>
+      </div>
+
+      {!preview ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Upload a bookmarks export from Chrome, Firefox, Safari or Edge, a Pocket or Raindrop CSV, or paste one URL per line.
+          </p>
+          <input
+            type="file"
+            accept=".html,.htm,.csv,.txt"
+            onChange={handleFile}
+            className="block w-full text-sm text-gray-600 dark:text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 dark:file:bg-blue-900 dark:file:text-blue-200"
+          />
+          <textarea
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setFilename('');
+            }}
+            rows={5}
+            placeholder="...or paste URLs or file contents here"
+            className={inputClassName}
+          />
+          <button
+            onClick={handlePreview}
+            disabled={!text.trim() || parsing}
+            className="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {parsing ? 'Reading...' : 'Preview'}
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {FORMAT_LABELS[preview.format]}: found {preview.items.length} bookmarks
+            {duplicateCount > 0 && <>, {duplicateCount} already saved or repeated (unchecked)</>}.
+          </p>
+          <div className="flex items-center gap-4 text-sm">
+            <button
+              onClick={() => setSelected(new Set(preview.items.map((_, index) => index)))}
+              className="text-blue-600 hover:text-blue-500 dark:text-blue-400"
+            >
+              Select all
+            </button>
+            <button
+              onClick={() => setSelected(new Set())}
+              className="text-blue-600 hover:text-blue-500 dark:text-blue-400"
+            >
+              Select none
+            </button>
+          </div>
+          <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+            {preview.items.slice(0, PREVIEW_LIMIT).map((item, index) => (
+              <li key={index} className="flex items-start gap-3 p-3">
+                <input
+                  type="checkbox"
+                  checked={selected.has(index)}
+                  onChange={() => toggleItem(index)}
+                  disabled={importing}
+                  className="mt-1 rounded border-gray-300 dark:border-gray-600"
+                  aria-label={`Import ${item.title}`}
+                />
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {item.title}
+                    {item.duplicate && (
+                      <span className="ml-2 text-xs font-normal text-amber-600 dark:text-amber-400">
+                        {item.duplicate === 'existing' ? 'already saved' : 'repeated in file'}
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{item.url}</p>
+                  <p className="text-xs text-gray-400 dark:text-gray-500">
+                    {item.created_at && new Date(item.created_at).toLocaleDateString()}
+                    {item.tags.length > 0 && <> · {item.tags.join(', ')}</>}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {preview.items.length > PREVIEW_LIMIT && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Showing the first {PREVIEW_LIMIT} of {preview.items.length}.
+            </p>
+          )}
+          <input
+            type="text"
+            value={extraTags}
+            onChange={(e) => setExtraTags(e.target.value)}
+            placeholder="Extra tags for every imported bookmark (comma separated)"
+            className={inputClassName}
+            disabled={importing}
+          />
+          <div className="flex items-center gap-4">
+            <button
+              onClick={handleImport}
+              disabled={selected.size === 0 || importing}
+              className="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 transition-colors"
+            >
+              <UploadIcon size={16} />
+              {importing ? 'Importing...' : `Import ${selected.size} bookmarks`}
+            </button>
+            {!importing && (
+              <button
+                onClick={() => setPreview(null)}
+                className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+              >
+                Back
+              </button>
+            )}
+            {progress && importing && (
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {progress.done} / {progress.total}
+              </span>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Titles, previews and summaries are filled in gradually after the import.
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 text-red-600 dark:text-red-400 text-sm">{error}</p>
+      )}
+    </div>
+  );
+}
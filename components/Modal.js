@@ -0,0 +1,69 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Dialog over a dimmed page. Focus moves into it when it opens (to
+// `initialFocusRef`, or the dialog itself) and Tab cycles inside it. Escape and
+// a click outside close it, after which focus goes back where it was, unless
+// whatever was chosen in the dialog moved it somewhere else.
+export default function Modal({ onClose, label, labelledBy, initialFocusRef, className = '', children }) {
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    const previous = document.activeElement;
+    (initialFocusRef?.current || dialog)?.focus();
+
+    return () => {
+      const current = document.activeElement;
+      if (!current || current === document.body || dialog?.contains(current)) {
+        previous?.focus?.();
+      }
+    };
+  }, [initialFocusRef]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center p-4 pt-[12vh] bg-black/40"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        aria-labelledby={labelledBy}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className={`w-full max-h-[76vh] flex flex-col bg-white dark:bg-gray-800 rounded-lg shadow-xl outline-none transition-colors duration-200 ${className}`}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
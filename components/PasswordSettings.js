@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { KeyRoundIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { MIN_PASSWORD_LENGTH } from '../lib/auth';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+
+// Sets a new password. Accounts created with a magic link or OAuth can add one here.
+export default function PasswordSettings() {
+  const { updatePassword } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Use at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (password !== confirmation) {
+      setError('The passwords don\'t match.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { error } = await updatePassword(password);
+      if (error) throw error;
+      setPassword('');
+      setConfirmation('');
+      setMessage('Password changed.');
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setError(error.message || 'Failed to change password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Password</h2>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="grid sm:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="settings-new-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              New password
+            </label>
+            <input
+              id="settings-new-password"
+              type="password"
+              required
+              minLength={MIN_PASSWORD_LENGTH}
+              autoComplete="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="settings-confirm-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Confirm new password
+            </label>
+            <input
+              id="settings-confirm-password"
+              type="password"
+              required
+              autoComplete="new-password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={saving || !password}
+          className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors"
+        >
+          <KeyRoundIcon size={14} />
+          {saving ? 'Saving...' : 'Change password'}
+        </button>
+      </form>
+
+      {message && <p role="status" className="mt-4 text-sm text-green-600 dark:text-green-400">{message}</p>}
+      {error && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
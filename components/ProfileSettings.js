@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { MailIcon, UserIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const inputClassName = 'flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+const buttonClassName = 'bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors';
+
+// Display name (kept in user_settings) and the account's email address
+export default function ProfileSettings({ settings, onSave }) {
+  const { user, updateEmail } = useAuth();
+  const [displayName, setDisplayName] = useState(settings.display_name || '');
+  const [email, setEmail] = useState(user.email || '');
+  const [busy, setBusy] = useState(null); // 'name' or 'email' while saving
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const nameChanged = displayName.trim() !== (settings.display_name || '');
+  const emailChanged = email.trim().toLowerCase() !== (user.email || '').toLowerCase();
+
+  const saveDisplayName = async (e) => {
+    e.preventDefault();
+    setBusy('name');
+    setMessage('');
+    setError('');
+
+    try {
+      await onSave({ display_name: displayName.trim() || null });
+      setMessage('Display name saved.');
+    } catch (error) {
+      console.error('Error saving display name:', error);
+      setError('Failed to save display name');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const changeEmail = async (e) => {
+    e.preventDefault();
+    setBusy('email');
+    setMessage('');
+    setError('');
+
+    try {
+      const { error } = await updateEmail(email.trim());
+      if (error) throw error;
+      setMessage(`Check ${email.trim()} for a confirmation link. Your email changes once you follow it.`);
+    } catch (error) {
+      console.error('Error changing email:', error);
+      setError(error.message || 'Failed to change email');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Profile</h2>
+
+      <form onSubmit={saveDisplayName} className="mb-4">
+        <label htmlFor="display-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Display name
+        </label>
+        <div className="flex gap-2">
+          <input
+            id="display-name"
+            type="text"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            placeholder="Shown instead of your email"
+            maxLength={100}
+            autoComplete="nickname"
+            className={inputClassName}
+          />
+          <button type="submit" disabled={busy !== null || !nameChanged} className={buttonClassName}>
+            <UserIcon size={14} />
+            {busy === 'name' ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+
+      <form onSubmit={changeEmail}>
+        <label htmlFor="account-email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Email
+        </label>
+        <div className="flex gap-2">
+          <input
+            id="account-email"
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+            className={inputClassName}
+          />
+          <button type="submit" disabled={busy !== null || !emailChanged} className={buttonClassName}>
+            <MailIcon size={14} />
+            {busy === 'email' ? 'Sending...' : 'Change email'}
+          </button>
+        </div>
+        {user.new_email && (
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Waiting for you to confirm {user.new_email}.
+          </p>
+        )}
+      </form>
+
+      {message && <p role="status" className="mt-4 text-sm text-green-600 dark:text-green-400">{message}</p>}
+      {error && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useState } from 'react';
+import { LogOutIcon, MonitorSmartphoneIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { sessionIdFromToken } from '../lib/account';
+import { supabase } from '../lib/supabase';
+
+// Utility function to turn a user agent into something like "Firefox on Windows"
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'],
+  ].find(([token]) => userAgent.includes(token))?.[1];
+  const os = [
+    ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux'],
+  ].find(([token]) => userAgent.includes(token))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.slice(0, 60);
+}
+
+// The devices signed in to this account, with sign out per device, for every
+// other device and everywhere
+export default function SessionSettings() {
+  const { user, signOut } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [currentId, setCurrentId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null); // session id, 'others' or 'global' while signing out
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const [{ data, error }, { data: { session } }] = await Promise.all([
+        supabase.rpc('list_sessions'),
+        supabase.auth.getSession(),
+      ]);
+
+      if (error) throw error;
+      setSessions(data || []);
+      setCurrentId(session ? sessionIdFromToken(session.access_token) : null);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      setError('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions, user?.id]);
+
+  const revokeSession = async (id) => {
+    setBusy(id);
+    setError('');
+
+    try {
+      const { error } = await supabase.rpc('revoke_session', { p_session_id: id });
+      if (error) throw error;
+      setSessions(prev => prev.filter(session => session.id !== id));
+    } catch (error) {
+      console.error('Error signing out session:', error);
+      setError('Failed to sign out that session');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // 'others' keeps this browser signed in; 'global' signs it out too
+  const signOutSessions = async (scope) => {
+    if (scope === 'global' && !confirm('Sign out on every device, including this one?')) return;
+    setBusy(scope);
+    setError('');
+
+    try {
+      const { error } = await signOut(scope);
+      if (error) throw error;
+      if (scope === 'others') await loadSessions();
+    } catch (error) {
+      console.error('Error signing out:', error);
+      setError('Failed to sign out');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const otherSessions = sessions.filter(session => session.id !== currentId);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <h2 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Sessions</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        Everywhere you are signed in. A session that is signed out here ends within the hour, when its current access token expires.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+      ) : sessions.length > 0 && (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg mb-4">
+          {sessions.map(session => (
+            <li key={session.id} className="p-3 flex flex-wrap items-center gap-3">
+              <MonitorSmartphoneIcon size={18} className="flex-shrink-0 text-gray-400 dark:text-gray-500" />
+              <div className="min-w-0 flex-1">
+                <p className="text-sm font-medium text-gray-900 dark:text-white truncate" title={session.user_agent || undefined}>
+                  {describeUserAgent(session.user_agent)}
+                  {session.id === currentId && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-normal rounded-full bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {session.ip && <>{session.ip} · </>}
+                  Signed in {new Date(session.created_at).toLocaleDateString()} · Last active {new Date(session.last_active_at).toLocaleString()}
+                </p>
+              </div>
+              {session.id !== currentId && (
+                <button
+                  onClick={() => revokeSession(session.id)}
+                  disabled={busy !== null}
+                  className="text-sm text-red-600 hover:text-red-500 dark:text-red-400 disabled:opacity-50"
+                >
+                  {busy === session.id ? 'Signing out...' : 'Sign out'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => signOutSessions('others')}
+          disabled={busy !== null || otherSessions.length === 0}
+          className="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors"
+        >
+          <LogOutIcon size={14} />
+          {busy === 'others' ? 'Signing out...' : 'Sign out other sessions'}
+        </button>
+        <button
+          onClick={() => signOutSessions('global')}
+          disabled={busy !== null}
+          className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors"
+        >
+          <LogOutIcon size={14} />
+          {busy === 'global' ? 'Signing out...' : 'Sign out everywhere'}
+        </button>
+      </div>
+
+      {error && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
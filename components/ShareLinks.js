@@ -0,0 +1,322 @@
+import { useCallback, useEffect, useState } from 'react';
+import { CheckIcon, CopyIcon, LinkIcon, XIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { supabase } from '../lib/supabase';
+import { collectionPath } from '../lib/collections';
+import { parseTags } from '../lib/utils';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', days: null },
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+];
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+
+function expiryDate(days) {
+  return days === null ? null : new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function shareUrl(slug) {
+  return `${window.location.origin}/share/${slug}`;
+}
+
+function shareStatus(share) {
+  if (share.revoked_at) return 'revoked';
+  if (share.expires_at && new Date(share.expires_at) <= new Date()) return 'expired';
+  return 'active';
+}
+
+// Creates and manages public read-only links to a collection and/or tag set.
+// `initial` pre-fills the form from the dashboard's current view.
+export default function ShareLinks({ collections, initial, onClose }) {
+  const { user } = useAuth();
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [title, setTitle] = useState('');
+  const [collectionId, setCollectionId] = useState(initial.collectionId || '');
+  const [tags, setTags] = useState(initial.tags.join(', '));
+  const [matchAll, setMatchAll] = useState(initial.matchAll);
+  const [expiryDays, setExpiryDays] = useState('');
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadShares = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('shares')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setShares(data || []);
+    } catch (error) {
+      console.error('Error loading share links:', error);
+      setError('Failed to load share links');
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    loadShares();
+  }, [loadShares]);
+
+  const describeShare = (share) => {
+    const parts = [];
+    if (share.collection_id) {
+      parts.push(collectionPath(collections, share.collection_id).join(' / ') || 'Collection');
+    }
+    if (share.tags?.length > 0) {
+      parts.push(`tagged ${share.tags.join(share.match_all ? ' and ' : ' or ')}`);
+    }
+    return parts.join(', ');
+  };
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.slug));
+      setCopied(share.id);
+      setTimeout(() => setCopied(current => (current === share.id ? null : current)), 2000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      setError('Could not copy the link');
+    }
+  };
+
+  const createShare = async (e) => {
+    e.preventDefault();
+    const shareTags = parseTags(tags);
+    if (!collectionId && shareTags.length === 0) {
+      setError('Choose a collection or at least one tag to share');
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+
+    try {
+      const fallbackTitle = collectionId
+        ? collectionPath(collections, collectionId).slice(-1)[0]
+        : shareTags.join(', ');
+      const { data, error } = await supabase
+        .from('shares')
+        .insert([{
+          user_id: user.id,
+          title: title.trim() || fallbackTitle || 'Reading list',
+          collection_id: collectionId || null,
+          tags: shareTags.length > 0 ? shareTags : null,
+          match_all: matchAll,
+          expires_at: expiryDate(expiryDays === '' ? null : Number(expiryDays)),
+        }])
+        .select();
+
+      if (error) throw error;
+      setShares(prev => [data[0], ...prev]);
+      setTitle('');
+      copyLink(data[0]);
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      setError('Failed to create share link');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateShare = async (id, changes) => {
+    setError('');
+
+    try {
+      const { data, error } = await supabase
+        .from('shares')
+        .update(changes)
+        .eq('id', id)
+        .select();
+
+      if (error) throw error;
+      setShares(prev => prev.map(share => (share.id === id ? data[0] : share)));
+    } catch (error) {
+      console.error('Error updating share link:', error);
+      setError('Failed to update share link');
+    }
+  };
+
+  const deleteShare = async (id) => {
+    setError('');
+
+    try {
+      const { error } = await supabase
+        .from('shares')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      setShares(prev => prev.filter(share => share.id !== id));
+    } catch (error) {
+      console.error('Error deleting share link:', error);
+      setError('Failed to delete share link');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Share Links</h2>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+          title="Close sharing"
+        >
+          <XIcon size={18} />
+        </button>
+      </div>
+
+      <form onSubmit={createShare} className="space-y-3">
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Anyone with the link can read the titles, summaries and tags of the shared bookmarks, without signing in. Nothing else in your account is visible.
+        </p>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Title shown on the page (optional)"
+          className={inputClassName}
+          disabled={busy}
+        />
+        <div className="grid gap-3 sm:grid-cols-2">
+          <select
+            value={collectionId}
+            onChange={(e) => setCollectionId(e.target.value)}
+            className={inputClassName}
+            disabled={busy}
+            aria-label="Collection to share"
+          >
+            <option value="">Any collection</option>
+            {collections.map(collection => (
+              <option key={collection.id} value={collection.id}>
+                {collectionPath(collections, collection.id).join(' / ')}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags (comma separated)"
+            className={inputClassName}
+            disabled={busy}
+            aria-label="Tags to share"
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          {parseTags(tags).length > 1 && (
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={matchAll}
+                onChange={(e) => setMatchAll(e.target.checked)}
+                className="rounded border-gray-300 dark:border-gray-600"
+              />
+              Only bookmarks with all of these tags
+            </label>
+          )}
+          <select
+            value={expiryDays}
+            onChange={(e) => setExpiryDays(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            disabled={busy}
+            aria-label="Link expiry"
+          >
+            {EXPIRY_OPTIONS.map(({ label, days }) => (
+              <option key={label} value={days ?? ''}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={busy}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-colors"
+          >
+            <LinkIcon size={14} />
+            {busy ? 'Creating...' : 'Create link'}
+          </button>
+        </div>
+      </form>
+
+      <div className="mt-6">
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Your links</h3>
+        {loading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : shares.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">You haven&apos;t shared anything yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+            {shares.map(share => {
+              const status = shareStatus(share);
+              return (
+                <li key={share.id} className="p-3 flex flex-wrap items-center gap-3">
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {share.title}
+                      <span className={`ml-2 text-xs font-normal ${
+                        status === 'active' ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'
+                      }`}>
+                        {status === 'active'
+                          ? share.expires_at ? `until ${new Date(share.expires_at).toLocaleDateString()}` : 'active'
+                          : status}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{describeShare(share)}</p>
+                  </div>
+                  {status === 'active' ? (
+                    <>
+                      <button
+                        onClick={() => copyLink(share)}
+                        className="text-sm text-blue-600 hover:text-blue-500 dark:text-blue-400 flex items-center gap-1"
+                      >
+                        {copied === share.id ? <CheckIcon size={14} /> : <CopyIcon size={14} />}
+                        {copied === share.id ? 'Copied' : 'Copy link'}
+                      </button>
+                      <select
+                        value=""
+                        onChange={(e) => updateShare(share.id, {
+                          expires_at: expiryDate(e.target.value === 'never' ? null : Number(e.target.value)),
+                        })}
+                        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 text-xs"
+                        aria-label={`Change expiry of ${share.title}`}
+                      >
+                        <option value="" disabled>Expiry...</option>
+                        {EXPIRY_OPTIONS.map(({ label, days }) => (
+                          <option key={label} value={days ?? 'never'}>{days === null ? label : `${label} from now`}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => updateShare(share.id, { revoked_at: new Date().toISOString() })}
+                        className="text-sm text-red-600 hover:text-red-500 dark:text-red-400"
+                      >
+                        Revoke
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => deleteShare(share.id)}
+                      className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {error && (
+        <p className="mt-4 text-red-600 dark:text-red-400 text-sm">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { useId, useRef } from 'react';
+import { KeyboardIcon, XIcon } from 'lucide-react';
+import { SHORTCUTS, shortcutKeys } from '../lib/shortcuts';
+import Modal from './Modal';
+
+const kbdClassName = 'px-1.5 py-0.5 min-w-[1.5rem] text-center text-xs font-mono rounded border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-700 dark:text-gray-200';
+
+// The ? overlay: every keyboard shortcut on the dashboard
+export default function ShortcutsHelp({ onClose }) {
+  const titleId = useId();
+  const closeRef = useRef(null);
+
+  return (
+    <Modal onClose={onClose} labelledBy={titleId} initialFocusRef={closeRef} className="max-w-lg">
+      <div className="flex items-center justify-between px-6 pt-5 pb-3">
+        <h2 id={titleId} className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+          <KeyboardIcon size={18} />
+          Keyboard shortcuts
+        </h2>
+        <button
+          ref={closeRef}
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+          aria-label="Close"
+        >
+          <XIcon size={18} />
+        </button>
+      </div>
+      <dl className="px-6 pb-6 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+        {SHORTCUTS.map(({ keys, description }) => (
+          <div key={description} className="py-2 flex items-center justify-between gap-4">
+            <dt className="text-sm text-gray-700 dark:text-gray-300">{description}</dt>
+            <dd className="flex items-center gap-1 flex-shrink-0">
+              {keys.map((shortcut, index) => (
+                <span key={shortcut} className="flex items-center gap-1">
+                  {index > 0 && <span className="text-xs text-gray-400 dark:text-gray-500">or</span>}
+                  {shortcutKeys(shortcut).map(key => (
+                    <kbd key={key} className={kbdClassName}>{key}</kbd>
+                  ))}
+                </span>
+              ))}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </Modal>
+  );
+}
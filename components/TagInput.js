@@ -0,0 +1,104 @@
+import { useId, useState } from 'react';
+import { parseTags } from '../lib/utils';
+
+const MAX_COMPLETIONS = 6;
+
+// The tag being typed: whatever follows the last comma
+function currentFragment(value) {
+  return value.slice(value.lastIndexOf(',') + 1).trim().toLowerCase();
+}
+
+// Comma separated tag input that autocompletes from the user's existing tags.
+// `vocabulary` is [{ tag, count }], most used first.
+export default function TagInput({ value, onChange, vocabulary, className, ...inputProps }) {
+  const listId = useId();
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  const fragment = currentFragment(value);
+  const chosen = new Set(parseTags(value.slice(0, value.lastIndexOf(',') + 1)));
+  const completions = fragment
+    ? [
+      ...vocabulary.filter(({ tag }) => tag.startsWith(fragment)),
+      ...vocabulary.filter(({ tag }) => !tag.startsWith(fragment) && tag.includes(fragment)),
+    ]
+      .filter(({ tag }) => tag !== fragment && !chosen.has(tag))
+      .slice(0, MAX_COMPLETIONS)
+    : [];
+  const showList = open && completions.length > 0;
+
+  const complete = (tag) => {
+    onChange(`${value.slice(0, value.lastIndexOf(',') + 1)}${value.includes(',') ? ' ' : ''}${tag}, `);
+    setHighlighted(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showList) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(prev => (prev + step + completions.length) % completions.length);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && highlighted >= 0) {
+      e.preventDefault();
+      complete(completions[highlighted].tag);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative flex-1">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setHighlighted(-1);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-activedescendant={showList && highlighted >= 0 ? `${listId}-${highlighted}` : undefined}
+        autoComplete="off"
+        className={className}
+        {...inputProps}
+      />
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute z-10 left-0 right-0 mt-1 py-1 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg shadow-lg"
+        >
+          {completions.map(({ tag, count }, index) => (
+            <li
+              key={tag}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              // Keep focus in the input while picking
+              onMouseDown={(e) => {
+                e.preventDefault();
+                complete(tag);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-4 py-1.5 text-sm flex justify-between cursor-pointer ${
+                index === highlighted
+                  ? 'bg-blue-50 dark:bg-gray-600 text-blue-700 dark:text-blue-200'
+                  : 'text-gray-700 dark:text-gray-200'
+              }`}
+            >
+              <span>{tag}</span>
+              <span className="text-xs text-gray-400 dark:text-gray-400">{count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import { useEffect, useState } from 'react';
+import { CheckIcon, MergeIcon, PencilIcon, TrashIcon, XIcon } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { parseTags } from '../lib/utils';
+
+const inputClassName = 'px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors';
+
+// Tags are stored the same way the tag input parses them
+function cleanTag(value) {
+  return parseTags(value)[0] || '';
+}
+
+export default function TagManager({ onChanged, onClose }) {
+  const [tags, setTags] = useState([]); // [{ tag, count }]
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [selected, setSelected] = useState(new Set());
+  const [renaming, setRenaming] = useState(null); // { tag, value }
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadTags = async () => {
+    try {
+      const { data, error } = await supabase.rpc('tag_counts');
+      if (error) throw error;
+      setTags(data || []);
+    } catch (error) {
+      console.error('Error loading tags:', error);
+      setError('Failed to load tags');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  // Runs a tag rpc, then reloads both the tag list and the dashboard's bookmarks
+  const runChange = async (fn, args, describe) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const { data, error } = await supabase.rpc(fn, args);
+      if (error) throw error;
+      setMessage(describe(data));
+      setSelected(new Set());
+      setRenaming(null);
+      setMergeTarget('');
+      await Promise.all([loadTags(), onChanged()]);
+    } catch (error) {
+      console.error('Error updating tags:', error);
+      setError(error.message || 'Failed to update tags');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pluralize = (count) => `${count} bookmark${count === 1 ? '' : 's'}`;
+
+  const renameTag = (e) => {
+    e.preventDefault();
+    const to = cleanTag(renaming.value);
+    if (!to || to === renaming.tag) {
+      setRenaming(null);
+      return;
+    }
+    runChange('merge_tags', { p_from: [renaming.tag], p_to: to }, count => `Renamed "${renaming.tag}" to "${to}" on ${pluralize(count)}.`);
+  };
+
+  const mergeTags = (e) => {
+    e.preventDefault();
+    const to = cleanTag(mergeTarget);
+    if (!to || selected.size < 2) return;
+    const from = Array.from(selected);
+    runChange('merge_tags', { p_from: from, p_to: to }, count => `Merged ${from.length} tags into "${to}" on ${pluralize(count)}.`);
+  };
+
+  const deleteTag = (tag, count) => {
+    if (!confirm(`Remove the tag "${tag}" from ${pluralize(count)}? The bookmarks themselves are kept.`)) return;
+    runChange('delete_tag', { p_tag: tag }, count => `Removed "${tag}" from ${pluralize(count)}.`);
+  };
+
+  const toggleSelected = (tag) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(tag)) {
+        next.delete(tag);
+      } else {
+        next.add(tag);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-8 transition-colors duration-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Manage Tags</h2>
+        <button
+          onClick={onClose}
+          disabled={busy}
+          className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+          title="Close tag manager"
+        >
+          <XIcon size={18} />
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading tags...</p>
+      ) : tags.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No tags yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {selected.size >= 2 && (
+            <form onSubmit={mergeTags} className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-600 dark:text-gray-300">Merge {selected.size} tags into</span>
+              <input
+                type="text"
+                value={mergeTarget}
+                onChange={(e) => setMergeTarget(e.target.value)}
+                placeholder={Array.from(selected)[0]}
+                className={inputClassName}
+                disabled={busy}
+                aria-label="Merged tag name"
+              />
+              <button
+                type="submit"
+                disabled={busy || !cleanTag(mergeTarget)}
+                className="px-4 py-1.5 rounded-lg bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 flex items-center gap-2 text-sm transition-colors"
+              >
+                <MergeIcon size={14} />
+                Merge
+              </button>
+            </form>
+          )}
+
+          <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+            {tags.map(({ tag, count }) => (
+              <li key={tag} className="flex items-center gap-3 px-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={selected.has(tag)}
+                  onChange={() => toggleSelected(tag)}
+                  disabled={busy}
+                  className="rounded border-gray-300 dark:border-gray-600"
+                  aria-label={`Select ${tag}`}
+                />
+                {renaming?.tag === tag ? (
+                  <form onSubmit={renameTag} className="flex flex-1 items-center gap-2">
+                    <input
+                      type="text"
+                      value={renaming.value}
+                      onChange={(e) => setRenaming({ tag, value: e.target.value })}
+                      onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                      className={`${inputClassName} flex-1`}
+                      disabled={busy}
+                      aria-label={`New name for ${tag}`}
+                      autoFocus
+                    />
+                    <button
+                      type="submit"
+                      disabled={busy}
+                      className="p-1 text-green-600 hover:text-green-700 dark:text-green-400"
+                      title="Save name"
+                    >
+                      <CheckIcon size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setRenaming(null)}
+                      className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                      title="Cancel"
+                    >
+                      <XIcon size={16} />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <span className="flex-1 text-sm text-gray-900 dark:text-white truncate">{tag}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{pluralize(count)}</span>
+                    <button
+                      onClick={() => setRenaming({ tag, value: tag })}
+                      disabled={busy}
+                      className="p-1 text-gray-400 hover:text-blue-500 transition-colors"
+                      title={`Rename ${tag}`}
+                    >
+                      <PencilIcon size={14} />
+                    </button>
+                    <button
+                      onClick={() => deleteTag(tag, count)}
+                      disabled={busy}
+                      className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                      title={`Delete ${tag}`}
+                    >
+                      <TrashIcon size={14} />
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Renaming a tag to one that already exists merges them. Select two or more tags to merge them into a new name.
+          </p>
+        </div>
+      )}
+
+      {message && (
+        <p className="mt-4 text-green-700 dark:text-green-300 text-sm">{message}</p>
+      )}
+      {error && (
+        <p className="mt-4 text-red-600 dark:text-red-400 text-sm">{error}</p>
+      )}
+    </div>
+  );
+}
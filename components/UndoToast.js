@@ -0,0 +1,35 @@
+import { useEffect } from 'react';
+import { XIcon } from 'lucide-react';
+
+// How long the toast stays up
+const UNDO_TIMEOUT_MS = 8000;
+
+// Toast at the bottom of the screen with an Undo button. `toast` is
+// { id, message }; a new id restarts the timer.
+export default function UndoToast({ toast, onUndo, onDismiss }) {
+  const toastId = toast?.id;
+
+  useEffect(() => {
+    if (!toastId) return;
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [toastId, onDismiss]);
+
+  if (!toast) return null;
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 max-w-[90vw] flex items-center gap-4 px-4 py-3 rounded-lg shadow-lg bg-gray-900 dark:bg-gray-700 text-sm text-white"
+    >
+      <span className="truncate">{toast.message}</span>
+      <button onClick={onUndo} className="font-medium text-blue-300 hover:text-blue-200 transition-colors">
+        Undo
+      </button>
+      <button onClick={onDismiss} className="p-1 text-gray-400 hover:text-gray-200 transition-colors" title="Dismiss">
+        <XIcon size={14} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Rows until a row has been measured
+const ESTIMATED_ROW_HEIGHT = 180;
+// Rows this far outside the window are rendered too, so fast scrolling doesn't flash
+const OVERSCAN_PX = 1000;
+// Room kept above and below a row scrolled into view
+const SCROLL_MARGIN_PX = 80;
+
+// Window-scrolled list that only renders the rows near the viewport. Rows are
+// measured as they render, so they can be any height and change height (e.g.
+// while editing). Rows listed in `keepMounted` stay rendered when scrolled away,
+// which keeps a dragged card alive until it's dropped. `onEndReached` is called
+// when the last rows come near the viewport. The window scrolls just enough to
+// show the row whose key is `scrollToKey` whenever that changes.
+export default function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  gap = 16,
+  keepMounted = [],
+  scrollToKey = null,
+  onEndReached,
+  endThreshold = 10,
+  label,
+}) {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map());
+  const nodes = useRef(new Map());
+  const refCallbacks = useRef(new Map());
+  const observer = useRef(null);
+  const onEndReachedRef = useRef(onEndReached);
+  const scheduleUpdate = useRef(null);
+  const layout = useRef({ keys: [], offsets: [] });
+  const [, setMeasured] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, bottom: 0 });
+
+  onEndReachedRef.current = onEndReached;
+
+  // Viewport edges relative to the top of the list
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (!containerRef.current) return;
+      const top = -containerRef.current.getBoundingClientRect().top;
+      setViewport(prev => (prev.top === top && prev.bottom === top + window.innerHeight
+        ? prev
+        : { top, bottom: top + window.innerHeight }));
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    scheduleUpdate.current = schedule;
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  // Content above the list (forms, filters) can move it without a scroll
+  useEffect(() => {
+    scheduleUpdate.current?.();
+  });
+
+  useEffect(() => () => observer.current?.disconnect(), []);
+
+  // One ref callback per row key, so each row's node is observed while mounted
+  const measureRow = useCallback((key) => {
+    if (!refCallbacks.current.has(key)) {
+      refCallbacks.current.set(key, (node) => {
+        if (!observer.current) {
+          observer.current = new ResizeObserver((entries) => {
+            let changed = false;
+            for (const entry of entries) {
+              const rowKey = entry.target.dataset.key;
+              const height = entry.target.offsetHeight;
+              if (heights.current.get(rowKey) !== height) {
+                heights.current.set(rowKey, height);
+                changed = true;
+              }
+            }
+            if (changed) setMeasured(count => count + 1);
+          });
+        }
+
+        const previous = nodes.current.get(key);
+        if (previous) observer.current.unobserve(previous);
+        if (node) {
+          nodes.current.set(key, node);
+          observer.current.observe(node);
+        } else {
+          nodes.current.delete(key);
+        }
+      });
+    }
+    return refCallbacks.current.get(key);
+  }, []);
+
+  // Row offsets from measured heights (estimated for rows not rendered yet)
+  const keys = items.map(getKey);
+  const offsets = [];
+  let totalHeight = 0;
+  keys.forEach((key, index) => {
+    offsets.push(totalHeight);
+    totalHeight += (heights.current.get(String(key)) ?? ESTIMATED_ROW_HEIGHT) + (index < keys.length - 1 ? gap : 0);
+  });
+
+  let first = 0;
+  while (first < keys.length - 1 && offsets[first + 1] < viewport.top - OVERSCAN_PX) first++;
+  let last = first;
+  while (last < keys.length - 1 && offsets[last + 1] < viewport.bottom + OVERSCAN_PX) last++;
+
+  layout.current = { keys, offsets };
+
+  useEffect(() => {
+    if (scrollToKey === null || !containerRef.current) return;
+    const { keys, offsets } = layout.current;
+    const index = keys.indexOf(scrollToKey);
+    if (index === -1) return;
+
+    const top = containerRef.current.getBoundingClientRect().top + window.scrollY + offsets[index];
+    const bottom = top + (heights.current.get(String(scrollToKey)) ?? ESTIMATED_ROW_HEIGHT);
+    if (top < window.scrollY + SCROLL_MARGIN_PX) {
+      window.scrollTo({ top: top - SCROLL_MARGIN_PX });
+    } else if (bottom > window.scrollY + window.innerHeight - SCROLL_MARGIN_PX) {
+      window.scrollTo({ top: Math.min(top - SCROLL_MARGIN_PX, bottom - window.innerHeight + SCROLL_MARGIN_PX) });
+    }
+  }, [scrollToKey]);
+
+  const pinned = new Set(keepMounted);
+  const rendered = keys
+    .map((key, index) => index)
+    .filter(index => (index >= first && index <= last) || pinned.has(keys[index]));
+
+  useEffect(() => {
+    if (keys.length > 0 && keys.length - 1 - last < endThreshold) {
+      onEndReachedRef.current?.();
+    }
+  }, [last, keys.length, endThreshold]);
+
+  return (
+    <div ref={containerRef} role="list" aria-label={label} style={{ position: 'relative', height: totalHeight }}>
+      {rendered.map(index => (
+        <div
+          key={keys[index]}
+          ref={measureRow(String(keys[index]))}
+          data-key={keys[index]}
+          role="listitem"
+          // Only some rows are in the DOM, so tell assistive tech where each one sits
+          aria-setsize={keys.length}
+          aria-posinset={index + 1}
+          style={{ position: 'absolute', top: offsets[index], left: 0, right: 0 }}
+        >
+          {renderItem(items[index], index)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { supabase } from '../lib/supabase';
+import { authRedirectUrl } from '../lib/auth';
 
 const AuthContext = createContext({});
 
@@ -14,6 +15,7 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [passwordRecovery, setPasswordRecovery] = useState(false); // signed in from a password reset link
 
   useEffect(() => {
     // Get initial session
@@ -36,6 +38,7 @@ export const AuthProvider = ({ children }) => {
     // Listen for auth changes
     const { data: { subscription } } = supabase.auth.onAuthStateChange(
       (event, session) => {
+        if (event === 'PASSWORD_RECOVERY') setPasswordRecovery(true);
         setUser(session?.user ?? null);
         setLoading(false);
       }
@@ -48,6 +51,7 @@ export const AuthProvider = ({ children }) => {
     const { data, error } = await supabase.auth.signUp({
       email,
       password,
+      options: { emailRedirectTo: authRedirectUrl('/') },
     });
     return { data, error };
   };
@@ -60,16 +64,65 @@ export const AuthProvider = ({ children }) => {
     return { data, error };
   };
 
-  const signOut = async () => {
-    const { error } = await supabase.auth.signOut();
+  // Passwordless sign-in: emails a link that signs the user in, creating the
+  // account on first use
+  const signInWithMagicLink = async (email) => {
+    const { data, error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: authRedirectUrl('/') },
+    });
+    return { data, error };
+  };
+
+  // Leaves the page for the provider, which sends the user back signed in
+  const signInWithProvider = async (provider) => {
+    const { data, error } = await supabase.auth.signInWithOAuth({
+      provider,
+      options: { redirectTo: authRedirectUrl('/') },
+    });
+    return { data, error };
+  };
+
+  // Emails a link that signs the user in on /reset-password to choose a new password
+  const requestPasswordReset = async (email) => {
+    const { data, error } = await supabase.auth.resetPasswordForEmail(email, {
+      redirectTo: authRedirectUrl('/reset-password'),
+    });
+    return { data, error };
+  };
+
+  const updatePassword = async (password) => {
+    const { data, error } = await supabase.auth.updateUser({ password });
+    if (!error) setPasswordRecovery(false);
+    return { data, error };
+  };
+
+  // Sends a confirmation link to the new address; the email changes once it's followed
+  const updateEmail = async (email) => {
+    const { data, error } = await supabase.auth.updateUser(
+      { email },
+      { emailRedirectTo: authRedirectUrl('/settings') }
+    );
+    return { data, error };
+  };
+
+  // 'local' signs out this browser, 'others' every other session, 'global' all of them
+  const signOut = async (scope = 'local') => {
+    const { error } = await supabase.auth.signOut({ scope });
     return { error };
   };
 
   const value = {
     user,
     loading,
+    passwordRecovery,
     signUp,
     signIn,
+    signInWithMagicLink,
+    signInWithProvider,
+    requestPasswordReset,
+    updatePassword,
+    updateEmail,
     signOut,
   };
 
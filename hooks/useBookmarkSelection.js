@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import { supabase } from '../lib/supabase';
+import { applyListFilter } from '../lib/bookmarkQuery';
+import { dateStamp, downloadFile } from '../lib/download';
+import { EXPORT_FORMATS } from '../lib/exporters';
+import { bulkUpdateBookmarks } from '../lib/utils';
+
+// Nothing selected. With allMatching, everything matching the filter is
+// selected and `except` holds the ids unticked since.
+const EMPTY_SELECTION = { ids: new Set(), allMatching: false, except: new Set() };
+
+const pluralize = (count) => `${count} bookmark${count === 1 ? '' : 's'}`;
+
+// Progress and result messages for bulk actions, given "N bookmarks"
+const BULK_MESSAGES = {
+  delete: { progress: n => `Moving ${n} to the Trash...`, done: n => `Moved ${n} to the Trash.` },
+  restore: { progress: n => `Restoring ${n}...`, done: n => `Restored ${n}.` },
+  purge: { progress: n => `Deleting ${n} forever...`, done: n => `Deleted ${n} forever.` },
+  add_tags: { progress: n => `Adding tags to ${n}...`, done: n => `Added tags to ${n}.` },
+  remove_tags: { progress: n => `Removing tags from ${n}...`, done: n => `Removed tags from ${n}.` },
+  move: { progress: n => `Moving ${n}...`, done: n => `Moved ${n}.` },
+  mark_read: { progress: n => `Marking ${n} as read...`, done: n => `Marked ${n} as read.` },
+  mark_unread: { progress: n => `Marking ${n} as unread...`, done: n => `Marked ${n} as unread.` },
+  archive: { progress: n => `Archiving ${n}...`, done: n => `Archived ${n}.` },
+  unarchive: { progress: n => `Unarchiving ${n}...`, done: n => `Unarchived ${n}.` },
+  summarize: { progress: n => `Re-running summaries for ${n}...`, done: n => `Re-ran summaries for ${n}:` },
+  export: { progress: n => `Exporting ${n}...`, done: n => `Exported ${n}.` },
+};
+
+// The dashboard's selection mode and the bulk actions run on it. `selectableIds`
+// are the loaded cards in list order, `listComplete` is true once the last page
+// is loaded, and `bulkFilter` is the list filter as the bulk endpoint takes it.
+// Deletes are offered for undo through `showUndo` (see useTrash).
+export default function useBookmarkSelection({
+  userId,
+  listFilter,
+  searchQuery,
+  selectableIds,
+  isSearching,
+  listComplete,
+  bulkFilter,
+  bookmarks,
+  setBookmarks,
+  reloadBookmarks,
+  fetchCounts,
+  showUndo,
+}) {
+  const [selecting, setSelecting] = useState(false);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const [lastSelectedId, setLastSelectedId] = useState(null); // anchor for shift-click ranges
+  const [matchingCount, setMatchingCount] = useState(null); // bookmarks matching the filter, once counted
+  const [bulkStatus, setBulkStatus] = useState(null); // { type, message } of the last bulk action
+
+  // A selection belongs to the list it was made in
+  useEffect(() => {
+    setSelection(EMPTY_SELECTION);
+    setLastSelectedId(null);
+    setMatchingCount(null);
+  }, [listFilter, searchQuery]);
+
+  const isSelected = (id) => (selection.allMatching ? !selection.except.has(id) : selection.ids.has(id));
+  const selectedCount = selection.allMatching
+    ? Math.max(0, (matchingCount || 0) - selection.except.size)
+    : selection.ids.size;
+
+  // Shift-click gives every card between the last one clicked and this one the new state
+  const handleSelect = (bookmark, e) => {
+    const select = !isSelected(bookmark.id);
+    let targets = [bookmark.id];
+    if (e.shiftKey && lastSelectedId) {
+      const from = selectableIds.indexOf(lastSelectedId);
+      const to = selectableIds.indexOf(bookmark.id);
+      if (from !== -1 && to !== -1) {
+        targets = selectableIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
+    }
+
+    setSelection(prev => {
+      const key = prev.allMatching ? 'except' : 'ids';
+      const next = new Set(prev[key]);
+      const add = prev.allMatching ? !select : select;
+      targets.forEach(id => (add ? next.add(id) : next.delete(id)));
+      return { ...prev, [key]: next };
+    });
+    setLastSelectedId(bookmark.id);
+  };
+
+  // Search results and fully loaded lists are selected by id; otherwise the
+  // selection is the filter itself, so bookmarks not loaded yet are included
+  const selectAllMatching = async () => {
+    if (isSearching || listComplete) {
+      setSelection({ ...EMPTY_SELECTION, ids: new Set(selectableIds) });
+      return;
+    }
+
+    try {
+      const { count, error } = await applyListFilter(
+        supabase.from('bookmarks').select('id', { count: 'exact', head: true }).eq('user_id', userId),
+        listFilter
+      );
+
+      if (error) throw error;
+      setMatchingCount(count);
+      setSelection({ ...EMPTY_SELECTION, allMatching: true });
+    } catch (error) {
+      console.error('Error counting bookmarks:', error);
+      setBulkStatus({ type: 'error', message: 'Failed to select all matching bookmarks' });
+    }
+  };
+
+  const clearSelection = () => setSelection(EMPTY_SELECTION);
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelection(EMPTY_SELECTION);
+    setLastSelectedId(null);
+    setBulkStatus(null);
+  };
+
+  // Run one action on the whole selection in a single request, then apply it
+  // to the loaded cards (realtime events bring the rest of the details)
+  const runBulkAction = async (action, { format, ...options } = {}) => {
+    const messages = BULK_MESSAGES[action];
+    const target = selection.allMatching
+      ? { filter: bulkFilter, except: [...selection.except] }
+      : { ids: [...selection.ids] };
+
+    setBulkStatus({ type: 'progress', message: messages.progress(pluralize(selectedCount)) });
+
+    try {
+      const result = await bulkUpdateBookmarks(action, target, options);
+
+      if (action === 'export') {
+        const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+        downloadFile(`bookmarks-${dateStamp()}.${extension}`, serialize(result.bookmarks), mimeType);
+        setBulkStatus({ type: 'done', message: messages.done(pluralize(result.bookmarks.length)) });
+        return;
+      }
+
+      const changed = new Set(result.changed);
+      const now = new Date().toISOString();
+      const patches = {
+        add_tags: bookmark => ({ tags: [...(bookmark.tags || []), ...options.tags.filter(tag => !(bookmark.tags || []).includes(tag))] }),
+        remove_tags: bookmark => ({ tags: (bookmark.tags || []).filter(tag => !options.tags.includes(tag)) }),
+        move: () => ({ collection_id: options.collection_id }),
+        mark_read: () => ({ read_at: now }),
+        mark_unread: () => ({ read_at: null }),
+        archive: () => ({ archived_at: now }),
+        unarchive: () => ({ archived_at: null }),
+        summarize: () => ({ summary_status: 'pending', summary_error: null }),
+      };
+
+      if (selection.allMatching) {
+        // Most of the selection may not be loaded; start the list over
+        reloadBookmarks();
+      } else {
+        setBookmarks(prev => (['delete', 'restore', 'purge'].includes(action)
+          ? prev.filter(bookmark => !changed.has(bookmark.id))
+          : prev.map(bookmark => (changed.has(bookmark.id) ? { ...bookmark, ...patches[action](bookmark) } : bookmark))));
+        fetchCounts();
+      }
+
+      const unchanged = result.selected - result.changed.length;
+      const parts = [messages.done(pluralize(result.changed.length))];
+      if (result.summaries) {
+        const { ready, failed, queued } = result.summaries;
+        parts.push(`${ready} ready${failed > 0 ? `, ${failed} failed` : ''}${queued > 0 ? `, ${queued} queued for the background job` : ''}.`);
+      }
+      if (unchanged > 0 && action !== 'summarize') {
+        parts.push(`${pluralize(unchanged)} already ${unchanged === 1 ? 'was' : 'were'} up to date.`);
+      }
+      setBulkStatus({ type: result.summaries?.failed > 0 ? 'error' : 'done', message: parts.join(' ') });
+      if (action === 'delete' && result.changed.length > 0) {
+        showUndo(
+          messages.done(pluralize(result.changed.length)),
+          result.changed,
+          selection.allMatching ? null : bookmarks.filter(bookmark => changed.has(bookmark.id))
+        );
+      }
+      setSelection(EMPTY_SELECTION);
+      setLastSelectedId(null);
+    } catch (error) {
+      console.error('Error running bulk action:', error);
+      setBulkStatus({
+        type: 'error',
+        message: `${error.message || 'Bulk action failed'}.${action === 'export' ? '' : ' Nothing was changed.'}`,
+      });
+    }
+  };
+
+  return {
+    selecting,
+    startSelecting: () => setSelecting(true),
+    selection,
+    selectedCount,
+    matchingCount,
+    bulkStatus,
+    isSelected,
+    handleSelect,
+    selectAllMatching,
+    clearSelection,
+    stopSelecting,
+    runBulkAction,
+  };
+}
@@ -0,0 +1,164 @@
+import { useCallback, useState } from 'react';
+import { supabase } from '../lib/supabase';
+import { applyBookmarkChange } from '../lib/bookmarkSync';
+import { matchesListFilter } from '../lib/bookmarkQuery';
+import { bulkUpdateBookmarks } from '../lib/utils';
+
+// The dashboard's Trash: moving bookmarks there with an undo toast, and restoring,
+// deleting forever and emptying it in the Trash view. Works on the dashboard's
+// loaded pages (`bookmarks`, `setBookmarks`); `listComplete` is true once the
+// last page of the list is loaded.
+export default function useTrash({
+  userId,
+  bookmarks,
+  setBookmarks,
+  listFilter,
+  listComplete,
+  reloadBookmarks,
+  fetchCounts,
+  setError,
+}) {
+  const [deleting, setDeleting] = useState(null); // Track which bookmark is being deleted
+  const [undo, setUndo] = useState(null); // { id, message, ids, rows } after bookmarks were moved to the Trash
+
+  // Put bookmarks back into the loaded list where they belong, if they match the filter
+  const showRestored = (rows) => {
+    setBookmarks(prev => rows.reduce(
+      (list, row) => applyBookmarkChange(list, { eventType: 'UPDATE', new: { ...row, deleted_at: null } }, {
+        matches: bookmark => matchesListFilter(bookmark, listFilter),
+        complete: listComplete,
+      }),
+      prev
+    ));
+  };
+
+  // Offer to undo a move to the Trash. `rows` are the loaded bookmarks that were
+  // moved (null when they weren't all loaded, so undoing reloads the list).
+  const showUndo = (message, ids, rows) => {
+    setUndo({ id: Date.now(), message, ids, rows });
+  };
+
+  const dismissUndo = useCallback(() => setUndo(null), []);
+
+  const undoDelete = async () => {
+    const { ids, rows } = undo;
+    setUndo(null);
+
+    try {
+      await bulkUpdateBookmarks('restore', { ids });
+      if (rows) {
+        showRestored(rows);
+      } else {
+        reloadBookmarks();
+      }
+      fetchCounts();
+    } catch (error) {
+      console.error('Error restoring bookmarks:', error);
+      setError('Failed to undo the delete');
+    }
+  };
+
+  // Deleting moves a bookmark to the Trash, where it stays until restored,
+  // deleted forever or purged after the retention period
+  const deleteBookmark = async (id) => {
+    const original = bookmarks.find(bookmark => bookmark.id === id);
+    if (!original) return;
+
+    setDeleting(id);
+    setError('');
+
+    try {
+      const { error } = await supabase
+        .from('bookmarks')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      setBookmarks(prevBookmarks => prevBookmarks.filter(bookmark => bookmark.id !== id));
+      showUndo(`Moved "${original.title}" to the Trash`, [id], [original]);
+      fetchCounts();
+    } catch (error) {
+      console.error('Error deleting bookmark:', error);
+      setError('Failed to delete bookmark');
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  // Trash view: put a bookmark back where it was
+  const restoreBookmark = async (id) => {
+    setDeleting(id);
+    setError('');
+
+    try {
+      const { error } = await supabase
+        .from('bookmarks')
+        .update({ deleted_at: null })
+        .eq('id', id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      setBookmarks(prev => prev.filter(bookmark => bookmark.id !== id));
+      fetchCounts();
+    } catch (error) {
+      console.error('Error restoring bookmark:', error);
+      setError('Failed to restore bookmark');
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  // Trash view: delete a bookmark with its summary, tags and snapshot for good
+  const purgeBookmark = async (id) => {
+    if (!confirm('Delete this bookmark forever? This cannot be undone.')) return;
+    setDeleting(id);
+    setError('');
+
+    try {
+      const { error } = await supabase
+        .from('bookmarks')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      setBookmarks(prev => prev.filter(bookmark => bookmark.id !== id));
+      fetchCounts();
+    } catch (error) {
+      console.error('Error deleting bookmark:', error);
+      setError('Failed to delete bookmark');
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  // Empty the Trash, or the part of it `bulkFilter` (the filter the list shows) covers
+  const emptyTrash = async (bulkFilter) => {
+    if (!confirm('Delete every bookmark shown in the Trash forever? This cannot be undone.')) return;
+    setError('');
+
+    try {
+      await bulkUpdateBookmarks('purge', { filter: bulkFilter });
+      reloadBookmarks();
+      fetchCounts();
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      setError(error.message || 'Failed to empty the Trash');
+    }
+  };
+
+  return {
+    deleting,
+    undo,
+    showUndo,
+    dismissUndo,
+    undoDelete,
+    showRestored,
+    deleteBookmark,
+    restoreBookmark,
+    purgeBookmark,
+    emptyTrash,
+  };
+}
@@ -0,0 +1,19 @@
+// Permanently delete a user with every session. Their bookmarks, snapshots,
+// collections, share links, access tokens and settings reference auth.users
+// with ON DELETE CASCADE (see README SQL), so they go in the same statement:
+// either everything is deleted or nothing is, and a failure can simply be retried.
+// `supabase` is the service client.
+export async function deleteAccount(supabase, userId) {
+  const { error } = await supabase.auth.admin.deleteUser(userId);
+  if (error) throw error;
+}
+
+// Utility function to read the id of the session an access token belongs to
+export function sessionIdFromToken(accessToken) {
+  try {
+    const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).session_id || null;
+  } catch (error) {
+    return null;
+  }
+}
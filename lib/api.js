@@ -0,0 +1,28 @@
+import { supabase } from './supabase';
+
+// Utility function to call the app's API routes as the signed-in user.
+// Resolves to the parsed JSON body; throws an Error carrying the API's message,
+// with the status, error code and full body attached.
+export async function apiFetch(path, { method = 'GET', body, headers = {} } = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(session && { Authorization: `Bearer ${session.access_token}` }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = data.code;
+    error.body = data;
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,205 @@
+import * as cheerio from 'cheerio';
+
+// Elements that never hold article content
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+  '.nav', '.navbar', '.menu', '.sidebar', '.footer', '.header', '.cookie', '.advert', '.ads', '.share', '.social',
+].join(', ');
+
+// Candidate containers, most specific first
+const CONTENT_SELECTORS = ['article', 'main', '[role="main"]', '#content', '.post', '.entry-content', '.article-body'];
+
+const BLOCK_SELECTORS = 'p, h1, h2, h3, h4, li, blockquote, pre';
+
+function cleanText(value) {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Pick the container with the most paragraph text, falling back to <body>
+function findContentRoot($) {
+  let best = null;
+  let bestLength = 0;
+
+  for (const selector of CONTENT_SELECTORS) {
+    $(selector).each((_, element) => {
+      const length = cleanText($(element).find('p').text()).length;
+      if (length > bestLength) {
+        best = element;
+        bestLength = length;
+      }
+    });
+  }
+
+  return best ? $(best) : $('body');
+}
+
+// Utility function to extract the readable text of an article from raw HTML
+export function extractArticleText(html) {
+  const $ = cheerio.load(html || '');
+  $(NOISE_SELECTORS).remove();
+
+  const root = findContentRoot($);
+  const paragraphs = [];
+
+  root.find(BLOCK_SELECTORS).each((_, element) => {
+    // Skip containers whose text is already collected through a nested block
+    if ($(element).find(BLOCK_SELECTORS).length > 0) return;
+    const text = cleanText($(element).text());
+    if (text) paragraphs.push(text);
+  });
+
+  if (paragraphs.length === 0) {
+    const text = cleanText(root.text());
+    if (text) paragraphs.push(text);
+  }
+
+  return {
+    text: paragraphs.join('\n\n'),
+    paragraphs,
+  };
+}
+
+// Tags kept in a saved snapshot; anything else is unwrapped to its contents.
+// h1 is demoted because the reader page shows the bookmark title as the h1.
+const SNAPSHOT_TAGS = {
+  h1: 'h2', h2: 'h2', h3: 'h3', h4: 'h4', h5: 'h4', h6: 'h4',
+  p: 'p', blockquote: 'blockquote', pre: 'pre', code: 'code', ul: 'ul', ol: 'ol', li: 'li',
+  em: 'em', i: 'em', strong: 'strong', b: 'strong', a: 'a', img: 'img', br: 'br', hr: 'hr',
+  figure: 'figure', figcaption: 'figcaption', table: 'table', thead: 'thead', tbody: 'tbody',
+  tr: 'tr', th: 'th', td: 'td',
+};
+
+const VOID_TAGS = new Set(['img', 'br', 'hr']);
+const BLOCK_TAGS = new Set(['h2', 'h3', 'h4', 'p', 'blockquote', 'pre', 'ul', 'ol', 'li', 'figure', 'figcaption', 'table', 'tr', 'hr']);
+
+// Average adult silent reading speed
+const WORDS_PER_MINUTE = 230;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Only absolute http(s) links and images survive
+function safeUrl(value, baseUrl) {
+  try {
+    const url = new URL((value || '').trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Convert the content root into a tree of allowed elements with safe attributes
+function cleanNode(node, baseUrl, inPre = false) {
+  if (node.type === 'text') {
+    const text = inPre ? node.data : node.data.replace(/\s+/g, ' ');
+    return text ? [{ text }] : [];
+  }
+  if (node.type !== 'tag') return [];
+
+  const tag = SNAPSHOT_TAGS[node.name];
+  const children = (node.children || []).flatMap(child => cleanNode(child, baseUrl, inPre || tag === 'pre'));
+  if (!tag) return children;
+
+  const attributes = {};
+  if (tag === 'a') {
+    const href = safeUrl(node.attribs.href, baseUrl);
+    if (!href) return children;
+    attributes.href = href;
+  }
+  if (tag === 'img') {
+    const src = safeUrl(node.attribs.src || node.attribs['data-src'], baseUrl);
+    if (!src) return [];
+    attributes.src = src;
+    attributes.alt = node.attribs.alt || '';
+  }
+
+  return [{ tag, attributes, children }];
+}
+
+function hasText(nodes) {
+  return nodes.some(node => (node.text ? node.text.trim() : node.tag === 'img' || hasText(node.children)));
+}
+
+function toHtml(nodes) {
+  return nodes.map(node => {
+    if (node.text !== undefined) return escapeHtml(node.text);
+    const attributes = Object.entries(node.attributes)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+    if (VOID_TAGS.has(node.tag)) return `<${node.tag}${attributes}>`;
+    // Empty blocks are leftovers from removed widgets
+    if (BLOCK_TAGS.has(node.tag) && !hasText(node.children)) return '';
+    const link = node.tag === 'a' ? ' target="_blank" rel="noopener noreferrer"' : '';
+    const html = `<${node.tag}${attributes}${link}>${toHtml(node.children)}</${node.tag}>`;
+    return BLOCK_TAGS.has(node.tag) ? `${html}\n` : html;
+  }).join('');
+}
+
+function plainText(nodes) {
+  return nodes.map(node => (node.text !== undefined ? node.text : plainText(node.children))).join('');
+}
+
+function toMarkdown(nodes, listType = null) {
+  let index = 0;
+  return nodes.map(node => {
+    if (node.text !== undefined) return node.text;
+    const inner = () => toMarkdown(node.children).trim();
+
+    switch (node.tag) {
+      case 'h2': return `\n\n## ${inner()}\n\n`;
+      case 'h3': return `\n\n### ${inner()}\n\n`;
+      case 'h4': return `\n\n#### ${inner()}\n\n`;
+      case 'p':
+      case 'figure':
+      case 'figcaption':
+      case 'table':
+        return `\n\n${inner()}\n\n`;
+      case 'tr': return `\n${inner()}`;
+      case 'th':
+      case 'td':
+        return `${inner()} `;
+      case 'blockquote': return `\n\n${inner().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+      case 'pre': return `\n\n\`\`\`\n${plainText(node.children).replace(/^\n+|\n+$/g, '')}\n\`\`\`\n\n`;
+      case 'code': return `\`${inner()}\``;
+      case 'ul':
+      case 'ol':
+        return `\n\n${toMarkdown(node.children, node.tag).trim()}\n\n`;
+      case 'li':
+        index++;
+        return `\n${listType === 'ol' ? `${index}.` : '-'} ${inner().replace(/\n+/g, ' ')}`;
+      case 'em': return `*${inner()}*`;
+      case 'strong': return `**${inner()}**`;
+      case 'a': return `[${inner()}](${node.attributes.href})`;
+      case 'img': return `![${node.attributes.alt}](${node.attributes.src})`;
+      case 'br': return '  \n';
+      case 'hr': return '\n\n---\n\n';
+      default: return inner();
+    }
+  }).join('');
+}
+
+// Utility function to build an offline snapshot of an article: cleaned HTML
+// (only safe tags and http(s) links), the same content as markdown, and its
+// word count and reading time in minutes
+export function extractArticleContent(html, baseUrl) {
+  const $ = cheerio.load(html || '');
+  $(NOISE_SELECTORS).remove();
+
+  const root = findContentRoot($);
+  const nodes = root.contents().toArray().flatMap(node => cleanNode(node, baseUrl));
+  const wordCount = (cleanText(root.text()).match(/\S+/g) || []).length;
+
+  return {
+    html: toHtml(nodes).trim(),
+    markdown: toMarkdown(nodes).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+    wordCount,
+    readingMinutes: wordCount > 0 ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0,
+  };
+}
@@ -0,0 +1,43 @@
+// Sign-in methods offered on the sign-in form, set with NEXT_PUBLIC_AUTH_PROVIDERS:
+// a comma-separated list of `password`, `magic_link` and the OAuth providers
+// below. OAuth providers must also be enabled in Supabase (Authentication >
+// Providers, or [auth.external.*] in a local supabase/config.toml).
+export const OAUTH_PROVIDERS = {
+  github: 'GitHub',
+  google: 'Google',
+};
+
+const SIGN_IN_METHODS = ['password', 'magic_link', ...Object.keys(OAUTH_PROVIDERS)];
+
+const configuredProviders = (process.env.NEXT_PUBLIC_AUTH_PROVIDERS || 'password,magic_link')
+  .split(',')
+  .map(provider => provider.trim().toLowerCase())
+  .filter(provider => SIGN_IN_METHODS.includes(provider));
+
+// Password sign-in is the fallback when nothing valid is configured
+export const AUTH_PROVIDERS = configuredProviders.length > 0 ? configuredProviders : ['password'];
+
+export const PASSWORD_ENABLED = AUTH_PROVIDERS.includes('password');
+export const MAGIC_LINK_ENABLED = AUTH_PROVIDERS.includes('magic_link');
+export const ENABLED_OAUTH_PROVIDERS = AUTH_PROVIDERS.filter(provider => provider in OAUTH_PROVIDERS);
+
+// Supabase's default minimum password length
+export const MIN_PASSWORD_LENGTH = 6;
+
+// Utility function to build the URL that email links and OAuth sign-ins return
+// to. It has to be in the Supabase project's list of redirect URLs.
+export function authRedirectUrl(path = '/') {
+  return new URL(path, process.env.NEXT_PUBLIC_SITE_URL || window.location.origin).href;
+}
+
+// Utility function to read the error Supabase leaves in the URL when an email
+// link has expired or an OAuth sign-in was refused
+export function authErrorFromUrl() {
+  if (typeof window === 'undefined') return null;
+
+  for (const params of [window.location.hash.slice(1), window.location.search.slice(1)]) {
+    const description = new URLSearchParams(params).get('error_description');
+    if (description) return description;
+  }
+  return null;
+}
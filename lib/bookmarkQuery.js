@@ -0,0 +1,145 @@
+import { matchesTagFilter } from './utils';
+
+// Bookmark list filters, shared by the dashboard and the REST API. Each filter
+// exists twice: as a PostgREST query for loading pages from the database, and
+// as a predicate for rows the dashboard already holds (optimistic edits and
+// realtime events). Keep the two in step.
+//
+// A list filter is { collectionIds, unfiled, view, link, tags }:
+// collectionIds is a Set or array of collection ids (null for every collection),
+// view is one of VIEW_IDS, link is 'broken' or 'redirected', and tags is
+// { include, exclude, mode } as in matchesTagFilter().
+
+// Dashboard list pages; the first page shows while the rest load on scroll
+export const LIST_PAGE_SIZE = 50;
+
+// Whole-library reads go a page at a time (PostgREST caps rows per request)
+const ALL_ROWS_PAGE_SIZE = 1000;
+
+// Reading-list views. Archived bookmarks leave every view except Archive and Favorites.
+// Deleted bookmarks only show in Trash; every other view (and no view) leaves them out.
+const VIEW_QUERIES = {
+  inbox: query => query.is('read_at', null).is('archived_at', null),
+  favorites: query => query.eq('is_favorite', true),
+  archive: query => query.not('archived_at', 'is', null),
+  all: query => query.is('archived_at', null),
+  trash: query => query,
+};
+
+const VIEW_MATCHES = {
+  inbox: bookmark => !bookmark.read_at && !bookmark.archived_at,
+  favorites: bookmark => !!bookmark.is_favorite,
+  archive: bookmark => !!bookmark.archived_at,
+  all: bookmark => !bookmark.archived_at,
+  trash: () => true,
+};
+
+export const VIEW_IDS = Object.keys(VIEW_QUERIES);
+
+// Link health filters (see linkHealth() in lib/urls.js)
+export const LINK_FILTERS = ['broken', 'redirected'];
+
+// Postgres array literal for PostgREST filter strings
+function arrayLiteral(values) {
+  return `{${values.map(value => `"${value.replace(/["\\]/g, '\\$&')}"`).join(',')}}`;
+}
+
+// Utility function to narrow a bookmarks query to a tag filter
+export function applyTagFilter(query, { include = [], exclude = [], mode = 'any' } = {}) {
+  let filtered = query;
+  if (include.length > 0) {
+    filtered = mode === 'all' ? filtered.contains('tags', include) : filtered.overlaps('tags', include);
+  }
+  if (exclude.length > 0) {
+    filtered = filtered.or(`tags.is.null,tags.not.ov.${arrayLiteral(exclude)}`);
+  }
+  return filtered;
+}
+
+// Utility function to narrow a bookmarks query to a list filter
+export function applyListFilter(query, { collectionIds = null, unfiled = false, view = null, link = null, tags } = {}) {
+  let filtered = view === 'trash' ? query.not('deleted_at', 'is', null) : query.is('deleted_at', null);
+  if (unfiled) {
+    filtered = filtered.is('collection_id', null);
+  } else if (collectionIds) {
+    filtered = filtered.in('collection_id', [...collectionIds]);
+  }
+  if (view) filtered = VIEW_QUERIES[view](filtered);
+  if (link) filtered = filtered.eq('link_health', link);
+  return applyTagFilter(filtered, tags);
+}
+
+// Utility function to test a bookmark row against a list filter
+export function matchesListFilter(bookmark, { collectionIds = null, unfiled = false, view = null, link = null, tags } = {}) {
+  if ((view === 'trash') !== !!bookmark.deleted_at) return false;
+  if (unfiled && bookmark.collection_id) return false;
+  if (!unfiled && collectionIds && !new Set(collectionIds).has(bookmark.collection_id)) return false;
+  if (view && !VIEW_MATCHES[view](bookmark)) return false;
+  if (link && bookmark.link_health !== link) return false;
+  return matchesTagFilter(bookmark.tags, tags);
+}
+
+// Rows that come after `row` in list order: position ascending (unset last),
+// then newest first, then by id. Values are quoted for the PostgREST logic tree.
+function afterRowFilter({ position, created_at: createdAt, id }) {
+  const later = `created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.gt.${id})`;
+  if (position === null || position === undefined) {
+    return `and(position.is.null,or(${later}))`;
+  }
+  return `position.gt."${position}",position.is.null,and(position.eq."${position}",or(${later}))`;
+}
+
+// Utility function to load one page of a user's bookmarks in list order.
+// `after` is the last row already loaded. Resolves to { bookmarks, next }, where
+// `next` is the first row of the following page (null at the end of the list).
+export async function fetchBookmarkPage(supabase, userId, filter, { after = null, limit = LIST_PAGE_SIZE } = {}) {
+  let query = applyListFilter(supabase.from('bookmarks').select('*').eq('user_id', userId), filter);
+  if (after) query = query.or(afterRowFilter(after));
+
+  const { data, error } = await query
+    .order('position', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: true })
+    .limit(limit + 1);
+
+  if (error) throw error;
+  return { bookmarks: data.slice(0, limit), next: data[limit] || null };
+}
+
+// Utility function to load some columns of every bookmark a user has, a page at
+// a time. Bookmarks in the Trash are left out unless `includeDeleted` is set.
+export async function fetchAllBookmarks(supabase, userId, columns, { includeDeleted = false } = {}) {
+  const rows = [];
+  for (let from = 0; ; from += ALL_ROWS_PAGE_SIZE) {
+    let query = supabase.from('bookmarks').select(columns).eq('user_id', userId);
+    if (!includeDeleted) query = query.is('deleted_at', null);
+
+    const { data, error } = await query
+      .order('id', { ascending: true })
+      .range(from, from + ALL_ROWS_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < ALL_ROWS_PAGE_SIZE) return rows;
+  }
+}
+
+// Utility function to count a user's bookmarks per collection, view and link
+// health, for the sidebar and tabs (see bookmark_counts() in the README SQL).
+// Views are counted within the collection filter, link health also within the view.
+export async function fetchBookmarkCounts(supabase, { collectionIds = null, unfiled = false, view = 'all' } = {}) {
+  const { data, error } = await supabase.rpc('bookmark_counts', {
+    p_collections: !unfiled && collectionIds ? [...collectionIds] : null,
+    p_unfiled: unfiled,
+    p_view: view,
+  });
+
+  if (error) throw error;
+  return {
+    total: data.total,
+    unfiled: data.unfiled,
+    collections: new Map(Object.entries(data.collections || {})),
+    views: data.views,
+    links: data.links,
+  };
+}
@@ -0,0 +1,81 @@
+// Reconciles the dashboard's bookmark list with realtime change events.
+// The list is kept in display order: optimistic placeholders (temporary
+// numeric ids, isLoading) first, then by position, newest first on ties.
+
+function isPlaceholder(bookmark) {
+  return bookmark.isLoading && typeof bookmark.id === 'number';
+}
+
+function hasPosition(bookmark) {
+  return bookmark.position !== null && bookmark.position !== undefined;
+}
+
+// Same order as fetchBookmarkPage(): position ascending (unset last), then newest first, then by id
+function comesBefore(a, b) {
+  if (hasPosition(a) !== hasPosition(b)) return hasPosition(a);
+  if (hasPosition(a) && a.position !== b.position) return a.position < b.position;
+  if ((a.created_at || '') !== (b.created_at || '')) return (a.created_at || '') > (b.created_at || '');
+  return String(a.id) < String(b.id);
+}
+
+// Put a saved row where it belongs, below any placeholders. When only some
+// pages are loaded, a row past the last one is left for a later page.
+function insertInOrder(list, row, complete) {
+  const index = list.findIndex(bookmark => !isPlaceholder(bookmark) && comesBefore(row, bookmark));
+  if (index === -1) return complete ? [...list, row] : list;
+  return [...list.slice(0, index), row, ...list.slice(index)];
+}
+
+// Utility function to swap an item (usually a placeholder) for a saved row,
+// dropping any copy of that row a realtime event already added
+export function replaceBookmark(list, id, row) {
+  if (!list.some(bookmark => bookmark.id === id)) {
+    return list.map(bookmark => (bookmark.id === row.id ? row : bookmark));
+  }
+  return list
+    .filter(bookmark => bookmark.id === id || bookmark.id !== row.id)
+    .map(bookmark => (bookmark.id === id ? row : bookmark));
+}
+
+// Utility function to apply a Supabase postgres_changes payload to the list.
+// `matches` tells whether a row belongs in the list (the current filter), and
+// `complete` whether every page of it is loaded.
+export function applyBookmarkChange(list, { eventType, new: row, old }, { matches = () => true, complete = true } = {}) {
+  if (eventType === 'DELETE') {
+    return list.filter(bookmark => bookmark.id !== old.id);
+  }
+
+  const index = list.findIndex(bookmark => bookmark.id === row.id);
+
+  if (index === -1) {
+    // Our own insert can arrive before the request that made it returns:
+    // take the placeholder's place instead of adding a second card
+    const placeholder = eventType === 'INSERT'
+      ? list.findIndex(bookmark =>
+        isPlaceholder(bookmark) && (bookmark.url === row.url || bookmark.url === row.normalized_url)
+      )
+      : -1;
+    if (placeholder !== -1) {
+      return list.map((bookmark, i) => (i === placeholder ? row : bookmark));
+    }
+    return matches(row) ? insertInOrder(list, row, complete) : list;
+  }
+
+  const current = list[index];
+  // Ignore events older than what we already show (e.g. delivered after our own save returned)
+  if (current.updated_at && row.updated_at && new Date(row.updated_at) < new Date(current.updated_at)) {
+    return list;
+  }
+
+  // Keep client-only flags such as isLoading while a request is in flight
+  const merged = { ...current, ...row };
+  // Moved out of the filter, e.g. archived or filed elsewhere
+  if (!matches(merged)) {
+    return list.filter((_, i) => i !== index);
+  }
+  if (merged.position === current.position) {
+    return list.map((bookmark, i) => (i === index ? merged : bookmark));
+  }
+  // Reordered elsewhere
+  return insertInOrder(list.filter((_, i) => i !== index), merged, complete);
+}
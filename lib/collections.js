@@ -0,0 +1,63 @@
+// Helpers for the nested collections shown in the sidebar. Collections are
+// stored flat with a parent_id; these build the tree and walk it.
+
+// Utility function to nest collections under their parents, sorted by name.
+// `counts` maps collection id -> bookmarks directly inside it; each node also
+// gets `total`, which includes everything in its sub-collections.
+export function buildCollectionTree(collections, counts = new Map()) {
+  const nodes = new Map(collections.map(collection => [
+    collection.id,
+    { ...collection, children: [], count: counts.get(collection.id) || 0, total: 0 },
+  ]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const finish = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    for (const node of list) {
+      finish(node.children);
+      node.total = node.count + node.children.reduce((sum, child) => sum + child.total, 0);
+    }
+    return list;
+  };
+
+  return finish(roots);
+}
+
+// Utility function to get a collection's id plus the ids of everything nested in it
+export function collectionWithDescendants(collections, id) {
+  const ids = new Set([id]);
+  let added = true;
+  while (added) {
+    added = false;
+    for (const collection of collections) {
+      if (collection.parent_id && ids.has(collection.parent_id) && !ids.has(collection.id)) {
+        ids.add(collection.id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Utility function to get the names from the top-level collection down to `id`
+export function collectionPath(collections, id) {
+  const byId = new Map(collections.map(collection => [collection.id, collection]));
+  const path = [];
+  const seen = new Set();
+  let current = byId.get(id);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current.name);
+    current = current.parent_id && byId.get(current.parent_id);
+  }
+  return path;
+}
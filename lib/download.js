@@ -0,0 +1,18 @@
+// Browser helpers for handing generated files to the user
+
+// Utility function to save generated content as a file download
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Utility function to date file names (YYYY-MM-DD)
+export function dateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
@@ -0,0 +1,198 @@
+import { collectionPath } from './collections';
+import { dedupeKey } from './importers';
+import { normalizeUrl } from './urls';
+
+export const BACKUP_FORMAT = 'link-saver-backup';
+export const BACKUP_VERSION = 1;
+
+// Columns carried by a backup. Ids and ownership are assigned again on restore.
+export const BACKUP_COLUMNS = [
+  'url', 'title', 'summary', 'favicon', 'tags', 'description', 'image', 'site_name',
+  'canonical_url', 'lang', 'position', 'summary_provider', 'summary_status', 'summary_error',
+  'read_at', 'is_favorite', 'archived_at', 'created_at', 'updated_at',
+];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/([\\[\]()*_`#])/g, '\\$1');
+}
+
+function unixSeconds(date) {
+  const time = new Date(date).getTime();
+  return Number.isNaN(time) ? '' : Math.floor(time / 1000);
+}
+
+// Netscape bookmark file, importable by every major browser
+export function toNetscapeHtml(bookmarks) {
+  const lines = bookmarks.map(bookmark => {
+    const attributes = [
+      `HREF="${escapeHtml(bookmark.url)}"`,
+      bookmark.created_at && `ADD_DATE="${unixSeconds(bookmark.created_at)}"`,
+      bookmark.tags?.length > 0 && `TAGS="${escapeHtml(bookmark.tags.join(','))}"`,
+    ].filter(Boolean).join(' ');
+    const entry = `    <DT><A ${attributes}>${escapeHtml(bookmark.title)}</A>`;
+    return bookmark.summary ? `${entry}\n    <DD>${escapeHtml(bookmark.summary)}` : entry;
+  });
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    ...lines,
+    '</DL><p>',
+    '',
+  ].join('\n');
+}
+
+export function toJson(bookmarks) {
+  return JSON.stringify(
+    bookmarks.map(({ title, url, tags, summary, description, created_at }) => ({
+      title, url, tags: tags || [], summary, description, created_at,
+    })),
+    null,
+    2
+  );
+}
+
+// Same column names the CSV importer understands
+export function toCsv(bookmarks) {
+  const header = ['title', 'url', 'tags', 'description', 'summary', 'created'];
+  const rows = bookmarks.map(bookmark => [
+    bookmark.title,
+    bookmark.url,
+    (bookmark.tags || []).join(','),
+    bookmark.description,
+    bookmark.summary,
+    bookmark.created_at,
+  ].map(escapeCsv).join(','));
+
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export function toMarkdown(bookmarks) {
+  const lines = bookmarks.map(bookmark => {
+    const tags = (bookmark.tags || []).map(tag => `\`${tag}\``).join(' ');
+    const summary = bookmark.summary ? `\n  ${bookmark.summary.replace(/\s+/g, ' ').trim()}` : '';
+    return `- [${escapeMarkdown(bookmark.title)}](<${bookmark.url}>)${tags ? ` ${tags}` : ''}${summary}`;
+  });
+
+  return `# Bookmarks\n\n${lines.join('\n')}\n`;
+}
+
+export const EXPORT_FORMATS = {
+  html: { label: 'Browser HTML', extension: 'html', mimeType: 'text/html', serialize: toNetscapeHtml },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', serialize: toJson },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: toCsv },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', serialize: toMarkdown },
+};
+
+// Full-fidelity backup of every bookmark column that can be restored, plus the
+// collection tree. Collection ids are only used to link the two inside the file.
+export function createBackup(bookmarks, collections = []) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    collections: collections.map(({ id, parent_id, name }) => ({ id, parent_id, name })),
+    bookmarks: bookmarks.map(bookmark => ({
+      ...Object.fromEntries(BACKUP_COLUMNS.map(column => [column, bookmark[column] ?? null])),
+      collection_id: bookmark.collection_id ?? null,
+    })),
+  }, null, 2);
+}
+
+// Map backup collections onto the account's collections by name path, creating
+// (with fresh ids, parents first) only the ones that don't exist yet
+function restoreCollections(backupCollections, existingCollections) {
+  const pathKey = (collections, id) => collectionPath(collections, id).join('\u0000').toLowerCase();
+  const known = new Map(existingCollections.map(collection => [pathKey(existingCollections, collection.id), collection.id]));
+  const ids = new Map();
+  const inserts = [];
+
+  const ordered = backupCollections
+    .filter(collection => collection?.id && typeof collection.name === 'string' && collection.name.trim())
+    .map(collection => ({
+      collection,
+      key: pathKey(backupCollections, collection.id),
+      depth: collectionPath(backupCollections, collection.id).length,
+    }))
+    .sort((a, b) => a.depth - b.depth);
+
+  for (const { collection, key } of ordered) {
+    if (!known.has(key)) {
+      const id = crypto.randomUUID();
+      inserts.push({ id, parent_id: ids.get(collection.parent_id) ?? null, name: collection.name.trim() });
+      known.set(key, id);
+    }
+    ids.set(collection.id, known.get(key));
+  }
+
+  return { ids, inserts };
+}
+
+// Utility function to validate a backup and split it into rows to insert and
+// rows that already exist (by normalized URL), along with the collections to
+// create first. Throws on files that aren't backups.
+export function prepareRestore(text, existingUrls = [], existingCollections = []) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.bookmarks)) {
+    throw new Error('This file is not a Link Saver backup.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Link Saver.');
+  }
+
+  const { ids, inserts } = restoreCollections(
+    Array.isArray(backup.collections) ? backup.collections : [],
+    existingCollections
+  );
+  const seen = new Set(existingUrls.map(dedupeKey));
+  const rows = [];
+  let skipped = 0;
+
+  for (const bookmark of backup.bookmarks) {
+    let key = null;
+    try {
+      key = bookmark?.url && normalizeUrl(bookmark.url);
+    } catch (error) {
+      // Not an http(s) URL; skipped below
+    }
+    if (!key || !bookmark.title || seen.has(key)) {
+      skipped++;
+      continue;
+    }
+    seen.add(key);
+    rows.push({
+      ...Object.fromEntries(
+        BACKUP_COLUMNS
+          .filter(column => bookmark[column] !== undefined && bookmark[column] !== null)
+          .map(column => [column, bookmark[column]])
+      ),
+      normalized_url: key,
+      collection_id: ids.get(bookmark.collection_id) ?? null,
+    });
+  }
+
+  return { rows, skipped, collections: inserts };
+}
@@ -0,0 +1,37 @@
+// Characters after which a match counts as the start of a word
+const WORD_BREAK = /[\s\-_/.:#]/;
+
+// Utility function to score how well `query` fuzzily matches `text`: every
+// character of the query must appear in the text, in order. Runs of
+// consecutive characters and matches at the start of words score higher, and
+// shorter texts win ties. Returns null when the text doesn't match.
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = (text || '').toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let from = 0;
+  let run = 0;
+  for (const char of needle) {
+    const found = haystack.indexOf(char, from);
+    if (found === -1) return null;
+
+    run = found === from ? run + 1 : 0;
+    score += 1 + run * 2;
+    if (found === 0 || WORD_BREAK.test(haystack[found - 1])) score += 3;
+    from = found + 1;
+  }
+
+  return score - haystack.length / 1000;
+}
+
+// Utility function to keep the items that fuzzily match `query`, best first
+export function fuzzySearch(items, query, getText, limit = Infinity) {
+  return items
+    .map(item => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
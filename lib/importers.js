@@ -0,0 +1,266 @@
+import { normalizeUrl } from './urls';
+
+// Parsers for bookmark exports. Every parser returns items shaped like
+// { url, title, tags, description, created_at } ready to be previewed and inserted.
+
+// Browser root folders that say nothing about the bookmarks inside them
+const ROOT_FOLDERS = new Set([
+  'bookmarks', 'bookmarks bar', 'bookmarks toolbar', 'bookmarks menu', 'favorites bar',
+  'other bookmarks', 'mobile bookmarks', 'imported', 'unsorted',
+]);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(value) {
+  return (value || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function cleanText(value) {
+  return decodeEntities((value || '').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function normalizeTag(tag) {
+  return (tag || '').trim().toLowerCase();
+}
+
+function uniqueTags(tags) {
+  return Array.from(new Set(tags.map(normalizeTag).filter(Boolean)));
+}
+
+// Accepts unix seconds, unix milliseconds or anything Date understands
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  const date = Number.isFinite(numeric)
+    ? new Date(numeric > 1e12 ? numeric : numeric * 1000)
+    : new Date(value);
+  return Number.isNaN(date.getTime()) || date.getTime() <= 0 ? null : date.toISOString();
+}
+
+function toHttpUrl(value) {
+  const raw = (value || '').trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(raw) ? raw : `https://${raw}`);
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.') ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function makeItem({ url, title, tags = [], description = null, createdAt = null }) {
+  const href = toHttpUrl(url);
+  if (!href) return null;
+  return {
+    url: href,
+    title: (title || '').trim() || new URL(href).hostname,
+    tags: uniqueTags(tags),
+    description: description || null,
+    created_at: createdAt,
+  };
+}
+
+// Netscape bookmark file format, as exported by Chrome, Firefox, Safari and Edge.
+// Folders become tags; ADD_DATE is kept as the bookmark's creation date.
+export function parseNetscapeHtml(html) {
+  const items = [];
+  const folders = [];
+  let pendingFolder = null;
+  let lastItem = null;
+
+  const pattern = /<(\/?)(dl|h3|a|dd)\b([^>]*)>/gi;
+  let match;
+  while ((match = pattern.exec(html))) {
+    const [, closing, rawTag, attributeSource] = match;
+    const tag = rawTag.toLowerCase();
+    const rest = html.slice(pattern.lastIndex);
+
+    if (tag === 'dl') {
+      if (closing) {
+        folders.pop();
+      } else {
+        folders.push(pendingFolder);
+        pendingFolder = null;
+      }
+    } else if (tag === 'h3' && !closing) {
+      pendingFolder = cleanText(rest.slice(0, rest.search(/<\/h3>/i)));
+      lastItem = null;
+    } else if (tag === 'a' && !closing) {
+      const attributes = parseAttributes(attributeSource);
+      const folderTags = folders.filter(name => name && !ROOT_FOLDERS.has(name.toLowerCase()));
+      lastItem = makeItem({
+        url: attributes.href,
+        title: cleanText(rest.slice(0, rest.search(/<\/a>/i))),
+        tags: [...folderTags, ...(attributes.tags || '').split(',')],
+        createdAt: toIsoDate(attributes.add_date),
+      });
+      if (lastItem) items.push(lastItem);
+    } else if (tag === 'dd' && !closing && lastItem) {
+      const end = rest.search(/<(dt|dl|\/dl|dd)\b/i);
+      lastItem.description = cleanText(end === -1 ? rest : rest.slice(0, end)) || null;
+      lastItem = null;
+    }
+  }
+
+  return items;
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and newlines inside quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+const CSV_COLUMNS = {
+  url: ['url', 'href', 'link', 'address'],
+  title: ['title', 'name'],
+  tags: ['tags', 'labels', 'tag'],
+  folder: ['folder', 'collection', 'category'],
+  description: ['excerpt', 'description', 'note', 'notes'],
+  created: ['created', 'time_added', 'added', 'date', 'created_at', 'add_date'],
+};
+
+// Pocket, Raindrop.io and similar CSV exports, matched by their header row
+export function parseBookmarkCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const names = header.map(name => name.trim().toLowerCase());
+  // Earlier aliases win, e.g. Raindrop's "excerpt" over its usually empty "note"
+  const column = (key) => {
+    const match = CSV_COLUMNS[key].find(alias => names.includes(alias));
+    return match ? names.indexOf(match) : -1;
+  };
+  const index = Object.fromEntries(Object.keys(CSV_COLUMNS).map(key => [key, column(key)]));
+  if (index.url === -1) return [];
+
+  const cell = (cells, key) => (index[key] === -1 ? '' : (cells[index[key]] || '').trim());
+
+  return rows
+    .map(cells => {
+      const rawTags = cell(cells, 'tags');
+      // Pocket separates tags with "|", Raindrop with ","
+      const tags = rawTags.split(rawTags.includes('|') ? '|' : ',');
+      const folderTags = cell(cells, 'folder')
+        .split('/')
+        .filter(name => name && !ROOT_FOLDERS.has(name.trim().toLowerCase()));
+
+      return makeItem({
+        url: cell(cells, 'url'),
+        title: cell(cells, 'title'),
+        tags: [...folderTags, ...tags],
+        description: cell(cells, 'description'),
+        createdAt: toIsoDate(cell(cells, 'created')),
+      });
+    })
+    .filter(Boolean);
+}
+
+// One URL per line; anything that isn't a URL is ignored
+export function parseUrlList(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => makeItem({ url: line.split(/\s+/)[0] }))
+    .filter(Boolean);
+}
+
+export function detectImportFormat(text, filename = '') {
+  const name = filename.toLowerCase();
+  if (/<!doctype netscape-bookmark-file/i.test(text) || /<dt>\s*<a\s/i.test(text) || /\.html?$/.test(name)) {
+    return 'netscape';
+  }
+  if (name.endsWith('.csv')) return 'csv';
+  const firstLine = text.split(/\r?\n/, 1)[0].toLowerCase();
+  if (firstLine.includes(',') && CSV_COLUMNS.url.some(column => firstLine.split(',').map(c => c.trim().replace(/"/g, '')).includes(column))) {
+    return 'csv';
+  }
+  return 'urls';
+}
+
+const PARSERS = {
+  netscape: parseNetscapeHtml,
+  csv: parseBookmarkCsv,
+  urls: parseUrlList,
+};
+
+// Key used to spot duplicates; matches bookmarks.normalized_url
+export function dedupeKey(url) {
+  try {
+    return normalizeUrl(url);
+  } catch (error) {
+    return url;
+  }
+}
+
+// Utility function to flag items that repeat within the import or already exist.
+// Each item gets `duplicate`: null, 'import' or 'existing'.
+export function markDuplicates(items, existingUrls = []) {
+  const existing = new Set(existingUrls.map(dedupeKey));
+  const seen = new Set();
+
+  return items.map(item => {
+    const key = dedupeKey(item.url);
+    const duplicate = existing.has(key) ? 'existing' : seen.has(key) ? 'import' : null;
+    seen.add(key);
+    return { ...item, duplicate };
+  });
+}
+
+// Utility function to parse any supported export. Resolves { format, items }.
+export function parseImport(text, filename = '') {
+  const format = detectImportFormat(text, filename);
+  return { format, items: PARSERS[format](text) };
+}
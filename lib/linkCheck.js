@@ -0,0 +1,40 @@
+import { BROWSER_HEADERS, FETCH_TIMEOUT_MS } from './metadata';
+import { safeFetch } from './safeFetch';
+
+// Servers that refuse HEAD get a second try with GET
+const RETRY_WITH_GET = new Set([400, 403, 405, 406, 501]);
+
+async function request(url, method) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    const { response, finalUrl } = await safeFetch(url, {
+      method,
+      headers: BROWSER_HEADERS,
+      signal: controller.signal,
+    });
+    // Only the status matters; don't download the page
+    await response.body?.cancel().catch(() => {});
+    return { status: response.status, finalUrl };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Utility function to check whether a link still works, following redirects.
+// Resolves to { status, finalUrl, error }; status is 0 when nothing answered.
+export async function checkLink(url) {
+  try {
+    let result = await request(url, 'HEAD');
+    if (RETRY_WITH_GET.has(result.status)) {
+      result = await request(url, 'GET');
+    }
+    return { ...result, error: null };
+  } catch (error) {
+    const message = error.name === 'AbortError'
+      ? 'Timed out'
+      : error.cause?.code || error.cause?.errors?.[0]?.code || error.cause?.message || error.message || 'Unreachable';
+    return { status: 0, finalUrl: null, error: message };
+  }
+}
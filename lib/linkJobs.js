@@ -0,0 +1,70 @@
+import { checkLink } from './linkCheck';
+import { runQueueByHost } from './queue';
+import { linkHealth } from './urls';
+
+// Links are re-checked by the background job once a week
+const RECHECK_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+// One request per site at a time, a few sites in parallel
+const LIMITS = { concurrency: 6, perHost: 1 };
+
+function hostOf(bookmark) {
+  try {
+    return new URL(bookmark.url).hostname;
+  } catch (error) {
+    return bookmark.url;
+  }
+}
+
+// Check each bookmark's link and store the status, final URL and time, plus
+// the resulting health so lists can be filtered by it in the database.
+// `supabase` is either the owner's client (RLS applies) or the service client.
+// Resolves to the updated bookmark rows.
+export async function checkBookmarkLinks(supabase, bookmarks) {
+  const updated = [];
+
+  await runQueueByHost(bookmarks, async (bookmark) => {
+    const result = await checkLink(bookmark.url);
+    const checked = {
+      link_status: result.status,
+      link_final_url: result.finalUrl,
+      link_error: result.error,
+      link_checked_at: new Date().toISOString(),
+    };
+    const { data, error } = await supabase
+      .from('bookmarks')
+      .update({ ...checked, link_health: linkHealth({ url: bookmark.url, ...checked }) })
+      .eq('id', bookmark.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    updated.push(data);
+  }, { ...LIMITS, hostOf });
+
+  return updated;
+}
+
+// Check links that were never checked or not for a week, oldest first
+// (bookmarks in the Trash are left alone).
+// Resolves to { checked, broken, redirected }.
+export async function processStaleLinks(supabase, { limit = 50 } = {}) {
+  const staleBefore = new Date(Date.now() - RECHECK_AFTER_MS).toISOString();
+
+  const { data: bookmarks, error } = await supabase
+    .from('bookmarks')
+    .select('id, url')
+    .is('deleted_at', null)
+    .or(`link_checked_at.is.null,link_checked_at.lt.${staleBefore}`)
+    .order('link_checked_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const updated = await checkBookmarkLinks(supabase, bookmarks || []);
+  return {
+    checked: updated.length,
+    broken: updated.filter(bookmark => linkHealth(bookmark) === 'broken').length,
+    redirected: updated.filter(bookmark => linkHealth(bookmark) === 'redirected').length,
+  };
+}
@@ -0,0 +1,127 @@
+import * as cheerio from 'cheerio';
+import { readText, safeFetch } from './safeFetch';
+
+export const FETCH_TIMEOUT_MS = 10000;
+
+export const BROWSER_HEADERS = {
+  'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// Resolve a possibly relative URL against the page it was found on
+function resolveUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Return the first non-empty, trimmed value
+function firstOf(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) {
+      return value.trim().replace(/\s+/g, ' ');
+    }
+  }
+  return null;
+}
+
+// Utility function to combine the fetch timeout with the caller's abort signal, if any
+export function timeoutSignal(signal) {
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  return signal ? AbortSignal.any([timeout, signal]) : timeout;
+}
+
+// Utility function to fetch a page's HTML with a timeout and a size cap.
+// Only public addresses are fetched (see lib/safeFetch.js).
+export async function fetchPage(url, { signal } = {}) {
+  const { response, finalUrl } = await safeFetch(url, {
+    headers: BROWSER_HEADERS,
+    signal: timeoutSignal(signal),
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  const html = contentType.includes('html') ? await readText(response) : '';
+  if (!html) await response.body?.cancel().catch(() => {});
+
+  return {
+    status: response.status,
+    ok: response.ok,
+    finalUrl,
+    contentType,
+    html,
+  };
+}
+
+// Utility function to fetch a page's metadata, or what we can tell from the URL
+// when the page doesn't answer
+export async function fetchPageMetadata(url) {
+  const hostname = new URL(url).hostname;
+  const fallback = {
+    title: hostname,
+    description: null,
+    image: null,
+    siteName: hostname.replace(/^www\./, ''),
+    canonicalUrl: null,
+    lang: null,
+  };
+
+  try {
+    const page = await fetchPage(url);
+    const metadata = extractMetadata(page.html, page.finalUrl);
+    return { ...fallback, ...metadata, title: metadata.title || hostname };
+  } catch (error) {
+    console.error('Error fetching page metadata:', error);
+    return fallback;
+  }
+}
+
+// Utility function to pull title, description, preview image and friends out of a page
+export function extractMetadata(html, baseUrl) {
+  const $ = cheerio.load(html || '');
+  const meta = (selector) => $(selector).first().attr('content');
+
+  const hostname = new URL(baseUrl).hostname;
+
+  return {
+    title: firstOf(
+      meta('meta[property="og:title"]'),
+      meta('meta[name="twitter:title"]'),
+      $('title').first().text(),
+      $('h1').first().text()
+    ) || hostname,
+    description: firstOf(
+      meta('meta[name="description"]'),
+      meta('meta[property="og:description"]'),
+      meta('meta[name="twitter:description"]')
+    ),
+    image: resolveUrl(
+      firstOf(
+        meta('meta[property="og:image:secure_url"]'),
+        meta('meta[property="og:image"]'),
+        meta('meta[name="twitter:image"]'),
+        meta('meta[name="twitter:image:src"]')
+      ),
+      baseUrl
+    ),
+    siteName: firstOf(
+      meta('meta[property="og:site_name"]'),
+      meta('meta[name="application-name"]')
+    ) || hostname.replace(/^www\./, ''),
+    canonicalUrl: resolveUrl(
+      firstOf(
+        $('link[rel="canonical"]').first().attr('href'),
+        meta('meta[property="og:url"]')
+      ),
+      baseUrl
+    ),
+    lang: firstOf(
+      $('html').attr('lang'),
+      meta('meta[http-equiv="content-language"]'),
+      meta('meta[property="og:locale"]')
+    ),
+  };
+}
@@ -0,0 +1,71 @@
+// Utility function to run worker(item) over items with at most `concurrency` in flight.
+// Failures are collected instead of stopping the queue. Resolves to { done, failed }.
+export async function runQueue(items, worker, { concurrency = 2 } = {}) {
+  const queue = [...items];
+  let done = 0;
+  let failed = 0;
+
+  const next = async () => {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      try {
+        await worker(item);
+        done++;
+      } catch (error) {
+        console.error('Queued task failed:', error);
+        failed++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, next));
+  return { done, failed };
+}
+
+// Like runQueue, but also keeps at most `perHost` tasks in flight per host so a
+// batch full of links to one site doesn't hammer it. `hostOf(item)` names the host.
+export function runQueueByHost(items, worker, { concurrency = 4, perHost = 1, hostOf }) {
+  const queue = [...items];
+  const active = new Map();
+  let running = 0;
+  let done = 0;
+  let failed = 0;
+
+  return new Promise(resolve => {
+    const next = () => {
+      if (queue.length === 0 && running === 0) {
+        resolve({ done, failed });
+        return;
+      }
+
+      while (running < concurrency) {
+        const index = queue.findIndex(item => (active.get(hostOf(item)) || 0) < perHost);
+        if (index === -1) return; // every remaining host is busy; a finishing task calls next()
+
+        const [item] = queue.splice(index, 1);
+        const host = hostOf(item);
+        active.set(host, (active.get(host) || 0) + 1);
+        running++;
+
+        Promise.resolve()
+          .then(() => worker(item))
+          .then(
+            () => {
+              done++;
+            },
+            (error) => {
+              console.error('Queued task failed:', error);
+              failed++;
+            }
+          )
+          .finally(() => {
+            active.set(host, active.get(host) - 1);
+            running--;
+            next();
+          });
+      }
+    };
+
+    next();
+  });
+}
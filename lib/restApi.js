@@ -0,0 +1,185 @@
+import { LINK_FILTERS, VIEW_IDS, applyListFilter } from './bookmarkQuery';
+import { collectionWithDescendants } from './collections';
+import { getApiUserFromRequest } from './supabaseServer';
+import { parseTags } from './utils';
+
+// Shared plumbing for the versioned /api/v1 routes. Every error response has
+// the same shape: { error: <message>, code: <machine-readable code> }.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+// Columns returned for a bookmark (everything except the search vector)
+const BOOKMARK_COLUMNS = [
+  'id', 'url', 'title', 'summary', 'summary_provider', 'summary_status', 'summary_error',
+  'favicon', 'tags', 'description', 'image', 'site_name', 'canonical_url', 'lang',
+  'collection_id', 'position', 'read_at', 'is_favorite', 'archived_at', 'deleted_at',
+  'link_status', 'link_health', 'link_final_url', 'link_error', 'link_checked_at',
+  'word_count', 'reading_minutes', 'snapshot_at', 'snapshot_error', 'created_at', 'updated_at',
+];
+
+export const BOOKMARK_FIELDS = BOOKMARK_COLUMNS.join(', ');
+
+// Utility function to limit a full bookmark row to the public columns
+export function toApiBookmark(row) {
+  return Object.fromEntries(BOOKMARK_COLUMNS.map(column => [column, row[column] ?? null]));
+}
+
+// Utility function to create an error that apiRoute() turns into a JSON response
+export function apiError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Utility function to build a route from per-method handlers. Handlers get
+// (req, res, auth) and either respond themselves or throw an apiError().
+export function apiRoute(handlers) {
+  const allowed = Object.keys(handlers);
+
+  return async function handler(req, res) {
+    try {
+      if (!handlers[req.method]) {
+        res.setHeader('Allow', allowed.join(', '));
+        throw apiError(405, 'method_not_allowed', 'Method not allowed');
+      }
+
+      const auth = await getApiUserFromRequest(req);
+      if (!auth) {
+        throw apiError(401, 'unauthorized', 'Missing, invalid or revoked access token');
+      }
+
+      return await handlers[req.method](req, res, auth);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      console.error(`Error handling ${req.method} ${req.url}:`, error);
+      return res.status(500).json({ error: 'Something went wrong', code: 'server_error' });
+    }
+  };
+}
+
+// Utility function to turn a query parameter into a number between 1 and `max`
+export function parseLimit(value, { fallback = DEFAULT_PAGE_SIZE, max = MAX_PAGE_SIZE } = {}) {
+  if (value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    throw apiError(400, 'invalid_limit', `limit must be a whole number from 1 to ${max}`);
+  }
+  return limit;
+}
+
+// Pagination cursors are opaque to clients: base64url-encoded JSON
+export function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (value && typeof value === 'object') return value;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw apiError(400, 'invalid_cursor', 'cursor is not valid; pass next_cursor from a previous page');
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Utility function to read a JSON body that must be an object
+export function requireBody(req) {
+  const body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw apiError(400, 'invalid_body', 'Send a JSON object with Content-Type: application/json');
+  }
+  return body;
+}
+
+// Utility function to accept tags as an array or a comma separated string
+export function parseTagInput(value, field = 'tags') {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') return parseTags(value);
+  if (Array.isArray(value) && value.every(tag => typeof tag === 'string')) {
+    return parseTags(value.join(','));
+  }
+  throw apiError(400, 'invalid_tags', `${field} must be an array of strings or a comma separated string`);
+}
+
+// Utility function to check that a collection id (or null) belongs to the user
+export async function checkCollection(auth, collectionId) {
+  if (collectionId === null) return null;
+  if (!isUuid(collectionId)) {
+    throw apiError(400, 'invalid_collection', 'collection_id must be a collection id or null');
+  }
+
+  const { data, error } = await auth.supabase
+    .from('collections')
+    .select('id')
+    .eq('id', collectionId)
+    .eq('user_id', auth.user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw apiError(400, 'invalid_collection', 'Collection not found');
+  return collectionId;
+}
+
+// Utility function to read list filters from query parameters (or an object of
+// the same shape): q, tags, not, mode, collection, view and links
+export function parseFilters(query) {
+  const mode = query.mode || 'any';
+  if (!['any', 'all'].includes(mode)) {
+    throw apiError(400, 'invalid_filter', 'mode must be "any" or "all"');
+  }
+  if (query.view && !VIEW_IDS.includes(query.view)) {
+    throw apiError(400, 'invalid_filter', `view must be one of: ${VIEW_IDS.join(', ')}`);
+  }
+  if (query.links && !LINK_FILTERS.includes(query.links)) {
+    throw apiError(400, 'invalid_filter', `links must be one of: ${LINK_FILTERS.join(', ')}`);
+  }
+  if (query.collection && query.collection !== 'unfiled' && !isUuid(query.collection)) {
+    throw apiError(400, 'invalid_filter', 'collection must be a collection id or "unfiled"');
+  }
+  if (query.q !== undefined && typeof query.q !== 'string') {
+    throw apiError(400, 'invalid_filter', 'q must be a string');
+  }
+
+  return {
+    q: (query.q || '').trim(),
+    include: parseTagInput(query.tags),
+    exclude: parseTagInput(query.not, 'not'),
+    mode,
+    view: query.view || null,
+    links: query.links || null,
+    collection: query.collection || null,
+  };
+}
+
+// Utility function to apply the collection, view and link filters to a bookmarks
+// query. Tag filters are added separately because search applies them inside
+// search_bookmarks().
+export async function applyFilters(query, filters, auth) {
+  const filtered = query.eq('user_id', auth.user.id);
+  const listFilter = { view: filters.view, link: filters.links };
+  if (!filters.collection || filters.collection === 'unfiled') {
+    return applyListFilter(filtered, { ...listFilter, unfiled: filters.collection === 'unfiled' });
+  }
+
+  // A collection includes its sub-collections, as in the sidebar
+  const { data: collections, error } = await auth.supabase
+    .from('collections')
+    .select('id, parent_id')
+    .eq('user_id', auth.user.id);
+  if (error) throw error;
+  return applyListFilter(filtered, {
+    ...listFilter,
+    collectionIds: collectionWithDescendants(collections || [], filters.collection),
+  });
+}
@@ -0,0 +1,23 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff delay for the given attempt (1-based), with jitter, capped at maxDelayMs
+export function backoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 60000 } = {}) {
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+// Utility function to call fn(attempt) until it resolves, backing off between attempts
+export async function withRetry(fn, { retries = 2, baseDelayMs = 1000, maxDelayMs = 60000 } = {}) {
+  let lastError;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+      if (attempt <= retries) {
+        await sleep(backoffDelay(attempt, { baseDelayMs, maxDelayMs }));
+      }
+    }
+  }
+  throw lastError;
+}
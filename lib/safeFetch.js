@@ -0,0 +1,132 @@
+import { lookup } from 'dns';
+import { BlockList, isIP } from 'net';
+import { Agent, fetch } from 'undici';
+
+// Server-side fetches of user-supplied URLs (metadata, snapshots, summaries and
+// link checks) go through here, so a bookmark can't make the server read
+// loopback, private or link-local addresses such as cloud metadata endpoints.
+// Host names are checked when each connection is opened, against the very
+// addresses it connects to, so DNS can't answer differently for the check and
+// the request.
+
+export const MAX_REDIRECTS = 5;
+
+// Pages are cut off after this many bytes; metadata and article text fit easily
+export const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+  ['64:ff9b::', 96], // NAT64, which embeds an IPv4 address
+  ['2002::', 16], // 6to4, which embeds an IPv4 address
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Utility function to tell whether an IP address is one the server must not fetch from
+// (IPv4-mapped IPv6 addresses like ::ffff:7f00:1 match the IPv4 ranges)
+export function isBlockedAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedHostError(hostname) {
+  const error = new Error(`Refusing to fetch ${hostname}: not a public address`);
+  error.code = 'EBLOCKEDHOST';
+  return error;
+}
+
+// dns.lookup() for the connections below: resolves the host and fails unless
+// every address is public, so the socket connects to an address that was checked
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+// Utility function to make sure a URL is http(s) and, when its host is an IP
+// address, a public one (host names are checked as they are connected to).
+// Throws otherwise.
+export function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw new Error(`Unsupported protocol ${protocol}`);
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && isBlockedAddress(host)) {
+    throw blockedHostError(hostname);
+  }
+}
+
+// Utility function to fetch a public URL, following redirects by hand so that
+// every hop is checked. Resolves to { response, finalUrl }.
+export async function safeFetch(url, options = {}) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertPublicUrl(current);
+    const response = await fetch(current, { ...options, redirect: 'manual', dispatcher: publicAgent })
+      .catch((error) => {
+        // Report a refused host as such rather than as "fetch failed"
+        throw error.cause?.code === 'EBLOCKEDHOST' ? error.cause : error;
+      });
+    const location = response.headers.get('location');
+
+    if (!REDIRECT_STATUSES.has(response.status) || !location) {
+      return { response, finalUrl: current };
+    }
+
+    await response.body?.cancel().catch(() => {});
+    current = new URL(location, current).href;
+  }
+
+  throw new Error('Too many redirects');
+}
+
+// Utility function to read a response body as text, stopping after `maxBytes`
+export async function readText(response, maxBytes = MAX_PAGE_BYTES) {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let received = 0;
+
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) return text + decoder.decode();
+
+    const chunk = value.subarray(0, maxBytes - received);
+    received += chunk.length;
+    text += decoder.decode(chunk, { stream: true });
+  }
+
+  await reader.cancel().catch(() => {});
+  return text + decoder.decode();
+}
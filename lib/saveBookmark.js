@@ -0,0 +1,106 @@
+import { canonicalBookmarkUrl, normalizeUrl } from './urls';
+import { fetchUserSettings } from './userSettings';
+import { getFaviconUrl } from './utils';
+
+// The add flow, shared by the dashboard's add form and POST /api/v1/bookmarks:
+// canonicalize the URL, bring links back from the Trash, skip duplicates and
+// save with page metadata. Runs in the browser and on the server, so fetching
+// the page is left to the caller; so is the summary, once the row exists.
+
+async function findByNormalizedUrl(supabase, userId, normalizedUrl) {
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('normalized_url', normalizedUrl)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// A link that is in the Trash is brought back, with the new tags added, rather than saved again
+async function restoreFromTrash(supabase, userId, bookmark, tags) {
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .update({ deleted_at: null, tags: Array.from(new Set([...(bookmark.tags || []), ...tags])) })
+    .eq('id', bookmark.id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Save a bookmark for `userId`. `title` overrides the page title when given.
+// `loadMetadata(url)` resolves to the page's metadata. `onNew(url, tags)` is
+// called once the URL turns out to be new, before the metadata loads, and
+// `extraTags(metadata, tags)` returns tags to add once it has. With
+// `useDefaultTags`, bookmarks saved without tags get the user's default tags.
+// Resolves to { bookmark, tags } for a new bookmark, or { bookmark, tags, duplicate: true }
+// with the existing one when the URL is already saved, or { bookmark, tags, restored: true }
+// when it was in the Trash. New bookmarks have summary_status 'pending'. Throws on invalid URLs.
+export async function saveBookmark(
+  supabase,
+  userId,
+  { url, title, tags: requestedTags = [], collectionId = null },
+  { loadMetadata, onNew, extraTags, useDefaultTags = false }
+) {
+  const normalizedUrl = normalizeUrl(url);
+  let tags = requestedTags;
+
+  const existing = await findByNormalizedUrl(supabase, userId, normalizedUrl);
+  if (existing?.deleted_at) {
+    return { bookmark: await restoreFromTrash(supabase, userId, existing, tags), tags, restored: true };
+  }
+  if (existing) return { bookmark: existing, tags, duplicate: true };
+
+  onNew?.(normalizedUrl, tags);
+  const metadata = await loadMetadata(normalizedUrl);
+  if (extraTags) tags = [...tags, ...extraTags(metadata, tags)];
+
+  // Honor the page's canonical link, which may match a bookmark saved under another URL
+  const savedUrl = canonicalBookmarkUrl(normalizedUrl, metadata.canonicalUrl);
+  if (savedUrl !== normalizedUrl) {
+    const canonicalExisting = await findByNormalizedUrl(supabase, userId, savedUrl);
+    if (canonicalExisting?.deleted_at) {
+      return { bookmark: await restoreFromTrash(supabase, userId, canonicalExisting, tags), tags, restored: true };
+    }
+    if (canonicalExisting) return { bookmark: canonicalExisting, tags, duplicate: true };
+  }
+
+  if (useDefaultTags && tags.length === 0) {
+    tags = (await fetchUserSettings(supabase, userId)).default_tags;
+  }
+
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .insert([
+      {
+        user_id: userId,
+        url: savedUrl,
+        normalized_url: savedUrl,
+        title: title?.trim() || metadata.title,
+        summary_status: 'pending',
+        favicon: getFaviconUrl(savedUrl),
+        tags,
+        description: metadata.description,
+        image: metadata.image,
+        site_name: metadata.siteName,
+        canonical_url: metadata.canonicalUrl,
+        lang: metadata.lang,
+        collection_id: collectionId,
+      },
+    ])
+    .select()
+    .single();
+
+  // Unique violation: saved from somewhere else in the meantime
+  if (error?.code === '23505') {
+    return { bookmark: await findByNormalizedUrl(supabase, userId, savedUrl), tags, duplicate: true };
+  }
+  if (error) throw error;
+
+  return { bookmark: data, tags };
+}
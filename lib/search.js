@@ -0,0 +1,45 @@
+import { supabase } from './supabase';
+
+// Markers search_bookmarks() wraps around matching terms (see README SQL)
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+// Utility function to run a ranked full-text search, optionally limited by a tag
+// filter. Searches the Trash with `trash`, and only outside it otherwise.
+export async function searchBookmarks(query, { include = [], exclude = [], mode = 'any' } = {}, { trash = false } = {}) {
+  const { data, error } = await supabase.rpc('search_bookmarks', {
+    p_query: query,
+    p_tags: include.length > 0 ? include : null,
+    p_match_all: mode === 'all',
+    p_exclude: exclude.length > 0 ? exclude : null,
+    p_trash: trash,
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Utility function to split highlighted text into { text, match } parts
+export function splitHighlights(value) {
+  const parts = [];
+  let match = false;
+  let current = '';
+
+  for (const char of value || '') {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_END) {
+      if (current) parts.push({ text: current, match });
+      current = '';
+      match = char === HIGHLIGHT_START;
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push({ text: current, match });
+
+  return parts;
+}
+
+// Utility function to remove highlight markers
+export function stripHighlights(value) {
+  return (value || '').split(HIGHLIGHT_START).join('').split(HIGHLIGHT_END).join('');
+}
@@ -0,0 +1,34 @@
+// Dashboard keyboard shortcuts, as listed in the ? overlay. Each entry's keys
+// are alternatives; "Mod" is Cmd on macOS and Ctrl elsewhere.
+export const SHORTCUTS = [
+  { keys: ['Mod+K'], description: 'Open the command palette' },
+  { keys: ['a'], description: 'Add a bookmark' },
+  { keys: ['/'], description: 'Search bookmarks' },
+  { keys: ['j'], description: 'Next bookmark' },
+  { keys: ['k'], description: 'Previous bookmark' },
+  { keys: ['o', 'Enter'], description: 'Open the bookmark' },
+  { keys: ['e'], description: 'Edit the bookmark' },
+  { keys: ['t'], description: 'Edit its tags' },
+  { keys: ['d', 'Delete'], description: 'Move it to the Trash (delete forever in the Trash)' },
+  { keys: ['Shift+T'], description: 'Toggle dark mode' },
+  { keys: ['?'], description: 'Show keyboard shortcuts' },
+  { keys: ['Esc'], description: 'Close a dialog, leave a field or the list' },
+];
+
+// Utility function to tell whether the browser runs on an Apple platform
+export function isApplePlatform() {
+  return typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+}
+
+// Utility function to split a shortcut into the key caps to show, e.g. "Mod+K" -> ["⌘", "K"]
+export function shortcutKeys(shortcut) {
+  return shortcut.split('+').map(key => (key === 'Mod' ? (isApplePlatform() ? '⌘' : 'Ctrl') : key));
+}
+
+// Utility function to tell whether a key press is meant for a form field rather than a shortcut
+export function isTypingTarget(element) {
+  if (!element?.tagName) return false;
+  if (element.isContentEditable) return true;
+  if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+  return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(element.type);
+}
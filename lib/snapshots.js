@@ -0,0 +1,50 @@
+import { extractArticleContent } from './article';
+import { fetchPage } from './metadata';
+
+// Store a bookmark's readable content in bookmark_snapshots. `page` is the
+// fetchPage() result when the caller already has it; otherwise it is fetched here.
+// Resolves to the bookmark columns that describe the snapshot; throws when the
+// page can't be fetched or has no readable content.
+export async function captureSnapshot(supabase, bookmark, page = null) {
+  if (page?.error) throw page.error;
+  page = page || await fetchPage(bookmark.url);
+  if (!page.ok) throw new Error(`The page answered with HTTP ${page.status}`);
+  if (!page.html) throw new Error('The page is not an HTML document');
+
+  const content = extractArticleContent(page.html, page.finalUrl);
+  if (!content.html) throw new Error('No readable content found on the page');
+
+  const capturedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('bookmark_snapshots')
+    .upsert({
+      bookmark_id: bookmark.id,
+      user_id: bookmark.user_id,
+      html: content.html,
+      markdown: content.markdown,
+      source_url: page.finalUrl,
+      captured_at: capturedAt,
+    });
+
+  if (error) throw error;
+
+  return {
+    word_count: content.wordCount,
+    reading_minutes: content.readingMinutes,
+    snapshot_at: capturedAt,
+    snapshot_error: null,
+  };
+}
+
+// Snapshot for bookmarks that don't have one yet. Failures are recorded on the
+// bookmark instead of thrown, so they never block the summary.
+export async function captureMissingSnapshot(supabase, bookmark, page = null) {
+  if (bookmark.snapshot_at) return {};
+
+  try {
+    return await captureSnapshot(supabase, bookmark, page);
+  } catch (error) {
+    console.error('Error capturing snapshot for bookmark', bookmark.id, error);
+    return { snapshot_error: error.message };
+  }
+}
@@ -0,0 +1,72 @@
+import { extractArticleText } from '../article';
+import { extractMetadata, fetchPage } from '../metadata';
+import jinaProvider from './jina';
+import localProvider from './local';
+import openaiProvider from './openai';
+
+// A provider is { name, label, isConfigured(), summarize({ url, title, text, signal }) => Promise<string> }
+const PROVIDERS = [localProvider, jinaProvider, openaiProvider];
+
+const DEFAULT_CHAIN = 'local,jina';
+
+export function getProvider(name) {
+  return PROVIDERS.find(provider => provider.name === name) || null;
+}
+
+export function listProviders() {
+  return PROVIDERS.map(({ name, label, isConfigured }) => ({
+    name,
+    label,
+    configured: isConfigured(),
+  }));
+}
+
+// Providers to try in order: the requested one, then SUMMARY_PROVIDER (comma separated), then local
+function providerChain(preferred) {
+  const names = [
+    preferred,
+    ...(process.env.SUMMARY_PROVIDER || DEFAULT_CHAIN).split(','),
+    'local',
+  ]
+    .map(name => (name || '').trim().toLowerCase())
+    .filter(Boolean);
+
+  return Array.from(new Set(names))
+    .map(getProvider)
+    .filter(provider => provider && provider.isConfigured());
+}
+
+// Summarize a page with the first provider that succeeds. `page` is the
+// fetchPage() result when the caller already has it; otherwise it is fetched here.
+// `signal` cuts the requests short. Resolves to { summary, provider }; rejects
+// when every provider failed.
+export async function summarizeUrl(url, { provider, page, signal } = {}) {
+  let title = '';
+  let text = '';
+
+  try {
+    const { html, finalUrl } = page || await fetchPage(url, { signal });
+    if (html) {
+      title = extractMetadata(html, finalUrl).title;
+      text = extractArticleText(html).text;
+    }
+  } catch (error) {
+    // Reader-style providers fetch the page themselves, so keep going
+    console.error('Error fetching page for summary:', error);
+  }
+
+  const failures = [];
+  for (const candidate of providerChain(provider)) {
+    try {
+      const summary = (await candidate.summarize({ url, title, text, signal }))?.trim();
+      if (summary && summary.length >= 10) {
+        return { summary, provider: candidate.name };
+      }
+      failures.push(`${candidate.name}: empty summary`);
+    } catch (error) {
+      failures.push(`${candidate.name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No summary provider succeeded (${failures.join('; ')})`);
+}
@@ -0,0 +1,43 @@
+import { timeoutSignal } from '../metadata';
+import { summarizeText } from './local';
+
+// Jina AI Reader: fetches a cleaned-up markdown rendering of the page, which is
+// then condensed by the extractive summarizer instead of being truncated.
+
+// Drop markdown chrome (images, link targets, headings markers, tables) so only prose is ranked
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^(Title|URL Source|Published Time|Markdown Content):.*$/gm, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*[#>*\-|=]+\s*/gm, '')
+    .replace(/[`*_~]/g, '');
+}
+
+const jinaProvider = {
+  name: 'jina',
+  label: 'Jina AI Reader',
+  isConfigured: () => true,
+  summarize: async ({ url, title, signal }) => {
+    const headers = {
+      'Accept': 'text/plain',
+      'X-Return-Format': 'markdown',
+    };
+    if (process.env.JINA_API_KEY) {
+      headers['Authorization'] = `Bearer ${process.env.JINA_API_KEY}`;
+    }
+
+    const response = await fetch(`https://r.jina.ai/${url}`, {
+      headers,
+      signal: timeoutSignal(signal),
+    });
+    if (!response.ok) {
+      throw new Error(`Jina Reader responded with status ${response.status}`);
+    }
+
+    const markdown = await response.text();
+    return summarizeText(markdownToText(markdown), { title });
+  },
+};
+
+export default jinaProvider;
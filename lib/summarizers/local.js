@@ -0,0 +1,110 @@
+// Built-in extractive summarizer: ranks sentences by word frequency and keeps
+// the best ones in their original order. Runs entirely offline.
+
+export const STOPWORDS = new Set(`
+a about above after again against all also am an and any are aren't as at be because been before being below
+between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down during each
+few for from further get got had hadn't has hasn't have haven't having he he'd he'll he's her here here's hers
+herself him himself his how how's however i i'd i'll i'm i've if in into is isn't it it's its itself just let's
+like may me might more most much must mustn't my myself new no nor not now of off on once one only or other
+ought our ours ourselves out over own same shan't she she'd she'll she's should shouldn't so some such than that
+that's the their theirs them themselves then there there's these they they'd they'll they're they've this those
+through to too under until up us use used using very via was wasn't we we'd we'll we're we've were weren't what
+what's when when's where where's which while who who's whom why why's will with won't would wouldn't yet you
+you'd you'll you're you've your yours yourself yourselves
+`.trim().split(/\s+/));
+
+const MIN_SENTENCE_LENGTH = 40;
+const MAX_SENTENCE_LENGTH = 400;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9'’-]*/g) || [])
+    .map(word => word.replace(/['’]s$/, ''))
+    .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+// Split prose into sentences at terminal punctuation followed by a new sentence
+export function splitSentences(text) {
+  return (text || '')
+    .split(/\n{2,}/)
+    .flatMap(paragraph => paragraph
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?]["'”’)]?)\s+(?=["'“‘(]?[A-Z0-9])/)
+    )
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  return cut.slice(0, Math.max(cut.lastIndexOf(' '), maxLength - 20)).trim() + '...';
+}
+
+// Utility function to build an extractive summary from article text
+export function summarizeText(text, { title = '', maxSentences = 3, maxLength = 400 } = {}) {
+  const sentences = splitSentences(text);
+  const candidates = sentences
+    .map((sentence, index) => ({ sentence, index, tokens: tokenize(sentence) }))
+    .filter(({ sentence, tokens }) =>
+      sentence.length >= MIN_SENTENCE_LENGTH &&
+      sentence.length <= MAX_SENTENCE_LENGTH &&
+      tokens.length >= 4
+    );
+
+  if (candidates.length === 0) {
+    return truncate((text || '').replace(/\s+/g, ' ').trim(), maxLength);
+  }
+
+  // Term frequencies across the whole article, normalized to 0..1
+  const frequencies = new Map();
+  candidates.forEach(({ tokens }) => {
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+  });
+  const maxFrequency = Math.max(...frequencies.values());
+  const titleTokens = new Set(tokenize(title));
+
+  const scored = candidates.map(candidate => {
+    const unique = new Set(candidate.tokens);
+    let score = 0;
+    unique.forEach(token => {
+      score += frequencies.get(token) / maxFrequency;
+      if (titleTokens.has(token)) score += 0.5;
+    });
+    // Favour dense sentences and, slightly, those near the start of the article
+    score /= Math.sqrt(candidate.tokens.length);
+    score *= 1 + 0.3 * (1 - candidate.index / sentences.length);
+    return { ...candidate, score };
+  });
+
+  const chosen = [];
+  let length = 0;
+  for (const candidate of [...scored].sort((a, b) => b.score - a.score)) {
+    if (chosen.length >= maxSentences) break;
+    if (length + candidate.sentence.length > maxLength && chosen.length > 0) continue;
+    chosen.push(candidate);
+    length += candidate.sentence.length + 1;
+  }
+
+  return truncate(
+    chosen
+      .sort((a, b) => a.index - b.index)
+      .map(({ sentence }) => sentence)
+      .join(' '),
+    maxLength
+  );
+}
+
+const localProvider = {
+  name: 'local',
+  label: 'Built-in (extractive)',
+  isConfigured: () => true,
+  summarize: async ({ text, title }) => {
+    if (!text || text.length < MIN_SENTENCE_LENGTH) {
+      throw new Error('No article text to summarize');
+    }
+    return summarizeText(text, { title });
+  },
+};
+
+export default localProvider;
@@ -0,0 +1,54 @@
+// Any OpenAI-compatible chat completions API (OpenAI, Azure, OpenRouter, Ollama, ...)
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const MAX_INPUT_CHARS = 12000;
+
+const openaiProvider = {
+  name: 'openai',
+  label: 'OpenAI-compatible LLM',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  summarize: async ({ url, title, text, signal }) => {
+    if (!text) {
+      throw new Error('No article text to summarize');
+    }
+
+    const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      },
+      body: JSON.stringify({
+        model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+        temperature: 0.2,
+        max_tokens: 200,
+        messages: [
+          {
+            role: 'system',
+            content: 'You summarize web pages for a bookmark manager. Reply with 2-3 plain sentences (under 400 characters) describing what the page is about. No preamble, no markdown.',
+          },
+          {
+            role: 'user',
+            content: `Title: ${title || url}\nURL: ${url}\n\n${text.slice(0, MAX_INPUT_CHARS)}`,
+          },
+        ],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM API responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const summary = data.choices?.[0]?.message?.content?.trim();
+    if (!summary) {
+      throw new Error('LLM API returned an empty summary');
+    }
+    return summary;
+  },
+};
+
+export default openaiProvider;
@@ -0,0 +1,149 @@
+import { extractMetadata, fetchPage } from './metadata';
+import { backoffDelay, withRetry } from './retry';
+import { captureMissingSnapshot } from './snapshots';
+import { summarizeUrl } from './summarizers';
+import { fetchUserSettings } from './userSettings';
+
+// Attempts (each with a quick in-request retry) before a summary is marked failed
+export const MAX_SUMMARY_ATTEMPTS = 5;
+
+// Scheduled retries back off from 5 minutes up to 6 hours
+const RETRY_DELAY = { baseDelayMs: 5 * 60 * 1000, maxDelayMs: 6 * 60 * 60 * 1000 };
+
+// Pending rows nobody has touched for this long were orphaned (e.g. the tab closed mid-save)
+const STALE_PENDING_MS = 2 * 60 * 1000;
+
+// A job run stops starting new summaries after this long, so it ends well
+// within the function's time limit; the next run continues with the rest
+const JOB_TIME_BUDGET_MS = 8000;
+
+// Page metadata for bookmarks saved without it (e.g. imported ones), from the fetched page.
+// Titles from the import are kept unless they are just the URL or host.
+function missingMetadata(bookmark, page) {
+  if (bookmark.site_name || page.error) return {};
+
+  try {
+    const metadata = extractMetadata(page.html, page.finalUrl);
+    const hostname = new URL(bookmark.url).hostname;
+    const hasRealTitle = bookmark.title && bookmark.title !== bookmark.url && bookmark.title !== hostname;
+
+    return {
+      ...(!hasRealTitle && { title: metadata.title }),
+      description: bookmark.description || metadata.description,
+      image: metadata.image,
+      site_name: metadata.siteName,
+      canonical_url: metadata.canonicalUrl,
+      lang: metadata.lang,
+    };
+  } catch (error) {
+    console.error('Error reading metadata for bookmark', bookmark.id, error);
+    return {};
+  }
+}
+
+// The provider the owner picked in Settings, if any. A missing preference
+// shouldn't stop the summary, so errors fall back to the configured chain.
+async function preferredProvider(supabase, userId) {
+  try {
+    return (await fetchUserSettings(supabase, userId)).summary_provider;
+  } catch (error) {
+    console.error('Error loading summary provider preference:', error);
+    return null;
+  }
+}
+
+// Generate and store the summary (and any missing metadata and snapshot) for one bookmark.
+// `supabase` is either the owner's client (RLS applies) or the service client
+// used by the background job. Without `provider`, the owner's preferred one is tried first.
+// Once `signal` aborts, requests are cut short and the bookmark is left as it was
+// (still pending) for the background job; the promise then rejects with the abort reason.
+// Resolves to the updated bookmark row.
+export async function processSummary(supabase, bookmark, { provider, resetAttempts = false, signal } = {}) {
+  const attempts = (resetAttempts ? 0 : bookmark.summary_attempts || 0) + 1;
+
+  // One fetch serves the metadata, snapshot and summary. A failed fetch is
+  // passed along as { error }: the snapshot records it, and providers that
+  // read the page themselves can still summarize it.
+  const page = await fetchPage(bookmark.url, { signal }).catch(error => ({ ok: false, html: '', error }));
+  signal?.throwIfAborted();
+  const metadata = missingMetadata(bookmark, page);
+  const snapshot = await captureMissingSnapshot(supabase, bookmark, page);
+  const chosenProvider = provider || await preferredProvider(supabase, bookmark.user_id);
+  let updates;
+
+  try {
+    const result = await withRetry(
+      () => {
+        signal?.throwIfAborted();
+        return summarizeUrl(bookmark.url, { provider: chosenProvider, page, signal });
+      },
+      { retries: 1, baseDelayMs: 1500 }
+    );
+    updates = {
+      summary: result.summary,
+      summary_provider: result.provider,
+      summary_status: 'ready',
+      summary_error: null,
+      summary_attempts: attempts,
+      summary_next_attempt_at: null,
+    };
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    const giveUp = attempts >= MAX_SUMMARY_ATTEMPTS;
+    updates = {
+      summary_status: giveUp ? 'failed' : 'pending',
+      summary_error: error.message,
+      summary_attempts: attempts,
+      summary_next_attempt_at: giveUp
+        ? null
+        : new Date(Date.now() + backoffDelay(attempts, RETRY_DELAY)).toISOString(),
+    };
+  }
+
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .update({ ...metadata, ...snapshot, ...updates })
+    .eq('id', bookmark.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Work through pending summaries that are due for a (re)try, skipping the Trash,
+// until `limit` are done or the time budget runs out.
+// Resolves to { processed, ready, failed }.
+export async function processPendingSummaries(supabase, { limit = 10, timeBudgetMs = JOB_TIME_BUDGET_MS } = {}) {
+  const started = Date.now();
+  const now = new Date().toISOString();
+  const staleBefore = new Date(Date.now() - STALE_PENDING_MS).toISOString();
+
+  const { data: bookmarks, error } = await supabase
+    .from('bookmarks')
+    .select('*')
+    .eq('summary_status', 'pending')
+    .is('deleted_at', null)
+    .or(`summary_next_attempt_at.lte.${now},and(summary_next_attempt_at.is.null,created_at.lt.${staleBefore})`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const stats = { processed: 0, ready: 0, failed: 0 };
+  // One at a time: the job should not hammer summary providers
+  for (const bookmark of bookmarks || []) {
+    if (Date.now() - started > timeBudgetMs) break;
+
+    try {
+      const updated = await processSummary(supabase, bookmark);
+      stats.processed++;
+      if (updated.summary_status === 'ready') stats.ready++;
+      if (updated.summary_status === 'failed') stats.failed++;
+    } catch (error) {
+      console.error('Error processing summary for bookmark', bookmark.id, error);
+    }
+  }
+
+  return stats;
+}
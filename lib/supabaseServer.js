@@ -0,0 +1,67 @@
+import { createClient } from '@supabase/supabase-js';
+import { hashApiToken, isApiToken, signAccessToken } from './apiTokens';
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+const serverOptions = {
+  auth: { persistSession: false, autoRefreshToken: false },
+};
+
+// Read the bearer token from an API request
+export function getAccessToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+// Client with no user, for public pages. It can only call functions granted to anon.
+export function createAnonClient() {
+  return createClient(supabaseUrl, supabaseAnonKey, serverOptions);
+}
+
+// Client that acts as the signed-in user, so row level security applies
+export function createUserClient(accessToken) {
+  return createClient(supabaseUrl, supabaseAnonKey, {
+    ...serverOptions,
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+  });
+}
+
+// Client that bypasses row level security. Server-side jobs only.
+export function createServiceClient() {
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceRoleKey) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is not set');
+  }
+  return createClient(supabaseUrl, serviceRoleKey, serverOptions);
+}
+
+// Resolve the signed-in user of an API request.
+// Resolves to { user, supabase } or null when the token is missing or invalid.
+export async function getUserFromRequest(req) {
+  const accessToken = getAccessToken(req);
+  if (!accessToken) return null;
+
+  const supabase = createUserClient(accessToken);
+  const { data: { user }, error } = await supabase.auth.getUser(accessToken);
+  if (error || !user) return null;
+
+  return { user, supabase };
+}
+
+// Resolve the user of a /api/v1 request, which may also authenticate with a
+// personal access token. Resolves to { user, supabase } or null.
+export async function getApiUserFromRequest(req) {
+  const token = getAccessToken(req);
+  if (!isApiToken(token)) return getUserFromRequest(req);
+
+  // Revoked and unknown tokens resolve to no user; also records last use
+  const { data: userId, error } = await createAnonClient().rpc('use_api_token', {
+    p_token_hash: hashApiToken(token),
+  });
+  if (error) throw error;
+  if (!userId) return null;
+
+  return { user: { id: userId }, supabase: createUserClient(signAccessToken(userId)) };
+}
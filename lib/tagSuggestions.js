@@ -0,0 +1,125 @@
+import { STOPWORDS } from './summarizers/local';
+
+// Local keyword extraction and tag suggestions. Nothing leaves the app: the
+// server extracts keywords from the page it already fetches for metadata, and
+// the browser matches them (with the title and description) against the
+// user's own tags.
+
+// Only the start of long pages is used for keywords
+const MAX_CONTENT_WORDS = 3000;
+const MAX_KEYWORDS = 40;
+export const MAX_SUGGESTIONS = 8;
+
+// A suggestion's score adds up where its words appear
+const TITLE_SCORE = 3;
+const DESCRIPTION_SCORE = 2;
+const CONTENT_SCORE = 2; // times the keyword's weight (0..1)
+
+// Existing tags are preferred; new words must be strong to be suggested at all
+const EXISTING_TAG_BOOST = 2;
+const MIN_NEW_TAG_SCORE = 3.5;
+const CONFIDENT_EXISTING_SCORE = 3;
+const CONFIDENT_NEW_SCORE = 6;
+
+// Generic words that say nothing about what a page is about
+const GENERIC_WORDS = new Set(`
+access account article blog click comment comments content contact copyright cookie cookies day days email
+find free full guide help home info information learn link links list log login menu more need news next page
+part people post posts privacy read reading rights search see share sign site start subscribe terms thing things
+time today top view want way website week work world year years
+`.trim().split(/\s+/));
+
+function words(text) {
+  return ((text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#'’.-]*/g) || [])
+    .map(word => word.replace(/['’]s$/, '').replace(/[.'’-]+$/, ''))
+    .filter(Boolean);
+}
+
+function isKeyword(word) {
+  return word.length > 2 && !STOPWORDS.has(word) && !GENERIC_WORDS.has(word) && !/^[\d.,-]+$/.test(word);
+}
+
+// Single keywords plus two-word phrases of keywords ("machine learning")
+function terms(wordList) {
+  const found = [];
+  wordList.forEach((word, index) => {
+    if (!isKeyword(word)) return;
+    found.push(word);
+    const next = wordList[index + 1];
+    if (next && isKeyword(next)) found.push(`${word} ${next}`);
+  });
+  return found;
+}
+
+// Utility function to find the most frequent keywords of a page's text.
+// Resolves to [{ term, weight }] with weights from 0 to 1 (the top term is 1).
+export function extractKeywords(text, { limit = MAX_KEYWORDS } = {}) {
+  const counts = new Map();
+  for (const term of terms(words(text).slice(0, MAX_CONTENT_WORDS))) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+
+  // A phrase only counts as one when it comes up more than once
+  const ranked = [...counts.entries()]
+    .filter(([term, count]) => !term.includes(' ') || count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit);
+
+  const top = ranked[0]?.[1] || 1;
+  return ranked.map(([term, count]) => ({ term, weight: Math.round((count / top) * 100) / 100 }));
+}
+
+// Ways a tag may be written in text: "react-native" / "react native", singular / plural
+function tagVariants(tag) {
+  const spaced = tag.replace(/[-_]+/g, ' ');
+  const variants = new Set([tag, spaced]);
+  for (const variant of [...variants]) {
+    variants.add(variant.endsWith('s') ? variant.slice(0, -1) : `${variant}s`);
+  }
+  return [...variants].filter(variant => variant.length > 1);
+}
+
+// Utility function to suggest tags for a page from its metadata.
+// `vocabulary` is [{ tag, count }] of the user's tags; `exclude` are tags already chosen.
+// Resolves to at most MAX_SUGGESTIONS [{ tag, existing, confident }], best first.
+export function suggestTags({ title, description, keywords = [] }, vocabulary = [], { exclude = [] } = {}) {
+  const scores = new Map();
+  const add = (term, score) => scores.set(term, (scores.get(term) || 0) + score);
+
+  new Set(terms(words(title))).forEach(term => add(term, TITLE_SCORE));
+  new Set(terms(words(description))).forEach(term => add(term, DESCRIPTION_SCORE));
+  keywords.forEach(({ term, weight }) => add(term, CONTENT_SCORE * weight));
+
+  const excluded = new Set(exclude);
+  const suggestions = [];
+  const covered = new Set();
+
+  for (const { tag, count } of vocabulary) {
+    if (excluded.has(tag)) continue;
+    const variants = tagVariants(tag);
+    const score = Math.max(0, ...variants.map(variant => scores.get(variant) || 0));
+    variants.forEach(variant => covered.add(variant));
+    if (score === 0) continue;
+
+    suggestions.push({
+      tag,
+      existing: true,
+      confident: score >= CONFIDENT_EXISTING_SCORE,
+      // Frequently used tags win ties
+      rank: score * EXISTING_TAG_BOOST + Math.log10((count || 0) + 1),
+    });
+  }
+
+  for (const [term, score] of scores) {
+    if (covered.has(term) || excluded.has(term) || score < MIN_NEW_TAG_SCORE) continue;
+    // A new tag must also come up in the page itself, not just its title
+    if (keywords.length > 0 && !keywords.some(keyword => keyword.term === term)) continue;
+
+    suggestions.push({ tag: term, existing: false, confident: score >= CONFIDENT_NEW_SCORE, rank: score });
+  }
+
+  return suggestions
+    .sort((a, b) => b.rank - a.rank || a.tag.localeCompare(b.tag))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ tag, existing, confident }) => ({ tag, existing, confident }));
+}
@@ -0,0 +1,31 @@
+// Deleted bookmarks wait in the Trash (deleted_at is set) until they are
+// restored, deleted forever, or purged by the background job once they have
+// been there longer than the retention period. 0 keeps them until emptied by hand.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const configuredDays = Number.parseInt(process.env.NEXT_PUBLIC_TRASH_RETENTION_DAYS ?? '', 10);
+export const TRASH_RETENTION_DAYS = Number.isNaN(configuredDays) || configuredDays < 0 ? 30 : configuredDays;
+
+// Utility function to tell when a trashed bookmark will be purged (null if never)
+export function trashPurgeDate(bookmark) {
+  if (!bookmark.deleted_at || TRASH_RETENTION_DAYS === 0) return null;
+  return new Date(new Date(bookmark.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Permanently delete bookmarks that have been in the Trash past the retention
+// period, for every user. `supabase` is the service client.
+// Resolves to { purged }.
+export async function purgeExpiredTrash(supabase) {
+  if (TRASH_RETENTION_DAYS === 0) return { purged: 0 };
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .delete()
+    .not('deleted_at', 'is', null)
+    .lt('deleted_at', cutoff)
+    .select('id');
+
+  if (error) throw error;
+  return { purged: (data || []).length };
+}
@@ -0,0 +1,94 @@
+// URL canonicalization used to detect duplicate bookmarks.
+// The normalized form is stored in bookmarks.normalized_url, which is unique per user.
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'gclsrc', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'igshid', 'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi', '__hstc', '__hssc', '__hsfp', 'hsctatracking',
+  'oly_anon_id', 'oly_enc_id', 'vero_id', 'vero_conv', 'ref_src', 'ref_url', 'spm', 's_cid', 'si',
+  '_ga', '_gl', 'cmpid', 'wt_mc',
+]);
+
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'ga_'];
+
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+// Utility function to parse user input as an http(s) URL, adding https:// when missing
+export function parseHttpUrl(input) {
+  const raw = (input || '').trim();
+  const url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+    throw new Error('Invalid URL');
+  }
+  return url;
+}
+
+// Utility function to canonicalize a URL: lowercase host, no default port,
+// no tracking parameters, sorted query, no trailing slash and no plain #fragment.
+// Throws on input that isn't an http(s) URL.
+export function normalizeUrl(input) {
+  const url = parseHttpUrl(input);
+
+  // URL already lowercases the scheme and host and drops default ports
+  url.hostname = url.hostname.replace(/\.$/, '');
+  url.username = '';
+  url.password = '';
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+
+  if (url.pathname !== '/') {
+    url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  // Keep hash-bang / client-side routes, drop in-page anchors
+  if (!/^#!?\//.test(url.hash)) {
+    url.hash = '';
+  }
+
+  return url.href;
+}
+
+// Whether a page's canonical link points at the same site (ignoring "www.")
+export function isSameSite(a, b) {
+  try {
+    const host = (value) => new URL(value).hostname.toLowerCase().replace(/^www\./, '');
+    return host(a) === host(b);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Utility function to pick the URL to save: the page's canonical link when it
+// stays on the same site, otherwise the normalized URL that was entered
+export function canonicalBookmarkUrl(url, canonicalUrl) {
+  const normalized = normalizeUrl(url);
+  if (!canonicalUrl || !isSameSite(canonicalUrl, normalized)) return normalized;
+
+  try {
+    return normalizeUrl(canonicalUrl);
+  } catch (error) {
+    return normalized;
+  }
+}
+
+// Utility function to classify a bookmark's last link check: 'broken',
+// 'redirected' (to a different page), 'ok', or null when it hasn't been checked
+export function linkHealth(bookmark) {
+  if (!bookmark.link_checked_at) return null;
+  if (!bookmark.link_status || bookmark.link_status >= 400) return 'broken';
+
+  if (bookmark.link_final_url) {
+    try {
+      if (normalizeUrl(bookmark.link_final_url) !== normalizeUrl(bookmark.url)) return 'redirected';
+    } catch (error) {
+      // Redirected somewhere that isn't http(s); nothing to offer
+    }
+  }
+  return 'ok';
+}
@@ -0,0 +1,33 @@
+// Per-user preferences, one row in user_settings per user (created on first save).
+// Read in the browser and on the server with whichever client applies.
+const SETTINGS_COLUMNS = 'display_name, default_tags, summary_provider';
+
+export const DEFAULT_USER_SETTINGS = {
+  display_name: null,
+  default_tags: [], // added to bookmarks saved without tags
+  summary_provider: null, // tried first for new summaries; null follows SUMMARY_PROVIDER
+};
+
+// Utility function to load a user's settings, with defaults for anything not set
+export async function fetchUserSettings(supabase, userId) {
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select(SETTINGS_COLUMNS)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_USER_SETTINGS, ...data };
+}
+
+// Utility function to change some of a user's settings; resolves to all of them
+export async function saveUserSettings(supabase, userId, changes) {
+  const { data, error } = await supabase
+    .from('user_settings')
+    .upsert({ user_id: userId, ...changes, updated_at: new Date().toISOString() })
+    .select(SETTINGS_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return { ...DEFAULT_USER_SETTINGS, ...data };
+}
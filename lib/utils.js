@@ -1,50 +1,95 @@
-// Utility function to generate URL summary using Jina AI
-export async function generateSummary(url) {
+import { apiFetch } from './api';
+
+// Utility function to (re)generate a bookmark's summary on the server.
+// Resolves to the updated bookmark row with its summary_status.
+export async function requestSummary(bookmarkId, { provider, regenerate = false } = {}) {
+  const { bookmark } = await apiFetch(`/api/bookmarks/${bookmarkId}/summary`, {
+    method: 'POST',
+    body: { provider, regenerate },
+  });
+  return bookmark;
+}
+
+// Utility function to (re)capture a bookmark's offline snapshot; resolves to the updated row
+export async function requestSnapshot(bookmarkId) {
+  const { bookmark } = await apiFetch(`/api/bookmarks/${bookmarkId}/snapshot`, { method: 'POST' });
+  return bookmark;
+}
+
+// Utility function to check bookmark links now (server-side); resolves to the updated rows
+export async function requestLinkCheck(bookmarkIds) {
+  const { bookmarks } = await apiFetch('/api/bookmarks/check-links', {
+    method: 'POST',
+    body: { ids: bookmarkIds },
+  });
+  return bookmarks;
+}
+
+// Utility function to create a personal access token for the REST API.
+// Resolves to { token, apiToken }; the token itself can't be shown again.
+export async function createApiToken(name) {
+  return apiFetch('/api/tokens', { method: 'POST', body: { name } });
+}
+
+// Utility function to list the summary providers and whether each is configured on the server
+export async function fetchSummaryProviders() {
+  const { providers } = await apiFetch('/api/summary-providers');
+  return providers;
+}
+
+// Utility function to permanently delete the signed-in user's account and
+// everything in it. `email` must be the account's email, as confirmation.
+export async function requestAccountDeletion(email) {
+  return apiFetch('/api/account', { method: 'DELETE', body: { confirm: email } });
+}
+
+// Utility function to save a link through the REST API, which runs the same
+// steps as the dashboard's add form. Resolves to { bookmark, duplicate }.
+export async function saveLink({ url, title, tags }) {
   try {
-    // Clean the URL first
-    let cleanUrl = url;
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      cleanUrl = 'https://' + url;
-    }
-    
-    console.log('Generating summary for:', cleanUrl);
-    
-    // Use Jina AI Reader API
-    const response = await fetch(`https://r.jina.ai/${cleanUrl}`, {
-      method: 'GET',
-      headers: {
-        'Accept': 'text/plain',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
+    const { bookmark } = await apiFetch('/api/v1/bookmarks', {
+      method: 'POST',
+      body: { url, title, tags },
     });
-    
-    console.log('Response status:', response.status);
-    
-    if (!response.ok) {
-      console.error('API response not ok:', response.status, response.statusText);
-      return `Unable to generate summary for this URL. (Status: ${response.status})`;
-    }
-    
-    const summary = await response.text();
-    console.log('Raw summary length:', summary.length);
-    
-    if (!summary || summary.length < 10) {
-      return 'Unable to generate summary for this URL.';
-    }
-    
-    // Extract meaningful content and truncate
-    const cleanSummary = summary.trim();
-    if (cleanSummary.length > 400) {
-      return cleanSummary.substring(0, 400) + '...';
-    }
-    
-    return cleanSummary;
+    return { bookmark, duplicate: false };
   } catch (error) {
-    console.error('Error generating summary:', error);
-    return 'Unable to generate summary for this URL.';
+    if (error.code === 'duplicate' && error.body.bookmark) {
+      return { bookmark: error.body.bookmark, duplicate: true };
+    }
+    throw error;
   }
 }
 
+// Utility function to replace a bookmark's tags; resolves to the updated bookmark
+export async function saveBookmarkTags(bookmarkId, tags) {
+  const { bookmark } = await apiFetch(`/api/v1/bookmarks/${bookmarkId}`, {
+    method: 'PATCH',
+    body: { tags },
+  });
+  return bookmark;
+}
+
+// Utility function to run one action on many bookmarks in a single request.
+// `selection` is { ids } or { filter, except } (see /api/v1/bookmarks/bulk);
+// resolves to { action, selected, changed, summaries?, bookmarks? }.
+export async function bulkUpdateBookmarks(action, selection, options = {}) {
+  return apiFetch('/api/v1/bookmarks/bulk', {
+    method: 'POST',
+    body: { action, ...selection, ...options },
+  });
+}
+
+// Utility function to build a bookmarklet that opens /save for the current page.
+// `tags` are added to every link saved with it.
+export function buildBookmarklet(origin, { tags = [] } = {}) {
+  const tagParam = tags.length > 0 ? `+'&tags='+encodeURIComponent(${JSON.stringify(tags.join(','))})` : '';
+  const script = `(function(){var s=${JSON.stringify(`${origin}/save?url=`)}+encodeURIComponent(location.href)`
+    + `+'&title='+encodeURIComponent(document.title)${tagParam};`
+    + `if(!window.open(s,'linksaver','width=480,height=560'))location.href=s;})();`;
+  // Browsers percent-decode javascript: URLs once before running them
+  return `javascript:${encodeURIComponent(script)}`;
+}
+
 // Utility function to extract favicon URL
 export function getFaviconUrl(url) {
   try {
@@ -55,13 +100,54 @@ export function getFaviconUrl(url) {
   }
 }
 
-// Utility function to extract page title from URL
-export async function getPageTitle(url) {
+// Utility function to fetch page metadata (title, description, preview image, ...)
+export async function getPageMetadata(url) {
+  const hostname = new URL(url).hostname;
+  const fallback = {
+    title: hostname,
+    description: null,
+    image: null,
+    siteName: hostname.replace(/^www\./, ''),
+    canonicalUrl: null,
+    lang: null,
+    keywords: [],
+  };
+
   try {
-    const response = await fetch(`/api/get-title?url=${encodeURIComponent(url)}`);
-    const data = await response.json();
-    return data.title || new URL(url).hostname;
+    const data = await apiFetch(`/api/get-title?url=${encodeURIComponent(url)}`);
+    return { ...fallback, ...data, title: data.title || hostname };
   } catch (error) {
-    return new URL(url).hostname;
+    return fallback;
   }
 }
+
+// Utility function to compute a sort position between two neighbours (lower = higher in the list)
+export function positionBetween(before, after) {
+  const low = before?.position ?? null;
+  const high = after?.position ?? null;
+  if (low === null && high === null) return 0;
+  if (low === null) return high - 1;
+  if (high === null) return low + 1;
+  return (low + high) / 2;
+}
+
+// Utility function to turn a comma separated string into normalized tags
+export function parseTags(value) {
+  return Array.from(new Set(
+    (value || '')
+      .split(',')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(tag => tag.length > 0)
+  ));
+}
+
+// Utility function to test tags against a filter: any/all of `include`, none of `exclude`
+export function matchesTagFilter(tags, { include = [], exclude = [], mode = 'any' } = {}) {
+  const bookmarkTags = tags || [];
+  if (exclude.some(tag => bookmarkTags.includes(tag))) return false;
+  if (include.length === 0) return true;
+  return mode === 'all'
+    ? include.every(tag => bookmarkTags.includes(tag))
+    : include.some(tag => bookmarkTags.includes(tag));
+}
+
@@ -1,6 +1,10 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  eslint: {
+    // next lint only covers pages, app, components, lib and src by default
+    dirs: ['pages', 'components', 'contexts', 'hooks', 'lib'],
+  },
   images: {
     remotePatterns: [
       {
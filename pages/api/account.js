@@ -0,0 +1,30 @@
+import { deleteAccount } from '../../lib/account';
+import { createServiceClient, getUserFromRequest } from '../../lib/supabaseServer';
+
+// Permanently deletes the signed-in user's account with all their bookmarks and
+// related data. The body must repeat the account's email: { confirm: email }.
+export default async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', 'DELETE');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // A browser session is required: access tokens can't delete the account
+  const auth = await getUserFromRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+
+  const confirm = typeof req.body?.confirm === 'string' ? req.body.confirm.trim().toLowerCase() : '';
+  if (!auth.user.email || confirm !== auth.user.email.toLowerCase()) {
+    return res.status(400).json({ error: 'Type your email address to confirm' });
+  }
+
+  try {
+    await deleteAccount(createServiceClient(), auth.user.id);
+    return res.status(200).json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    return res.status(500).json({ error: 'Failed to delete account. Nothing was deleted; please try again.' });
+  }
+}
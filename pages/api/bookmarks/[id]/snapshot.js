@@ -0,0 +1,57 @@
+import { captureSnapshot } from '../../../../lib/snapshots';
+import { getUserFromRequest } from '../../../../lib/supabaseServer';
+
+// Captures (or re-captures) the offline snapshot of one of the signed-in user's bookmarks
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await getUserFromRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+
+  const { data: bookmark, error } = await auth.supabase
+    .from('bookmarks')
+    .select('*')
+    .eq('id', req.query.id)
+    .eq('user_id', auth.user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading bookmark:', error);
+    return res.status(500).json({ error: 'Failed to load bookmark' });
+  }
+  if (!bookmark) {
+    return res.status(404).json({ error: 'Bookmark not found' });
+  }
+
+  let updates;
+  let captureError = null;
+  try {
+    updates = await captureSnapshot(auth.supabase, bookmark);
+  } catch (error) {
+    console.error('Error capturing snapshot:', error);
+    captureError = error.message;
+    // Keep the previous snapshot, if any, and record why this attempt failed
+    updates = { snapshot_error: captureError };
+  }
+
+  const { data: updated, error: updateError } = await auth.supabase
+    .from('bookmarks')
+    .update(updates)
+    .eq('id', bookmark.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error('Error saving snapshot details:', updateError);
+    return res.status(500).json({ error: 'Failed to save snapshot' });
+  }
+
+  return captureError
+    ? res.status(502).json({ error: captureError, bookmark: updated })
+    : res.status(200).json({ bookmark: updated });
+}
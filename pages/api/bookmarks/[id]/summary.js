@@ -0,0 +1,55 @@
+import { getProvider } from '../../../../lib/summarizers';
+import { processSummary } from '../../../../lib/summaryJobs';
+import { getUserFromRequest } from '../../../../lib/supabaseServer';
+
+// Generates (or regenerates) the summary of one of the signed-in user's bookmarks
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await getUserFromRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+
+  const { provider, regenerate = false } = req.body || {};
+  if (provider && !getProvider(provider)) {
+    return res.status(400).json({ error: `Unknown summary provider: ${provider}` });
+  }
+
+  const { data: bookmark, error } = await auth.supabase
+    .from('bookmarks')
+    .select('*')
+    .eq('id', req.query.id)
+    .eq('user_id', auth.user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading bookmark:', error);
+    return res.status(500).json({ error: 'Failed to load bookmark' });
+  }
+  if (!bookmark) {
+    return res.status(404).json({ error: 'Bookmark not found' });
+  }
+
+  try {
+    if (regenerate) {
+      // Show the bookmark as in progress to other tabs while we work
+      await auth.supabase
+        .from('bookmarks')
+        .update({ summary_status: 'pending', summary_error: null })
+        .eq('id', bookmark.id);
+    }
+
+    const updated = await processSummary(auth.supabase, bookmark, {
+      provider,
+      resetAttempts: regenerate,
+    });
+    return res.status(200).json({ bookmark: updated });
+  } catch (error) {
+    console.error('Error generating summary:', error);
+    return res.status(500).json({ error: 'Failed to save summary' });
+  }
+}
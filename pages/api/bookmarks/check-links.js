@@ -0,0 +1,46 @@
+import { checkBookmarkLinks } from '../../../lib/linkJobs';
+import { isUuid } from '../../../lib/restApi';
+import { getUserFromRequest } from '../../../lib/supabaseServer';
+
+// Keeps each request well inside serverless time limits; the client sends batches
+const MAX_IDS = 25;
+
+// Checks the links of some of the signed-in user's bookmarks right away
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await getUserFromRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_IDS) {
+    return res.status(400).json({ error: `Send between 1 and ${MAX_IDS} bookmark ids` });
+  }
+  if (!ids.every(isUuid)) {
+    return res.status(400).json({ error: 'Bookmark ids must be UUIDs' });
+  }
+
+  const { data: bookmarks, error } = await auth.supabase
+    .from('bookmarks')
+    .select('id, url')
+    .eq('user_id', auth.user.id)
+    .in('id', ids);
+
+  if (error) {
+    console.error('Error loading bookmarks:', error);
+    return res.status(500).json({ error: 'Failed to load bookmarks' });
+  }
+
+  try {
+    const updated = await checkBookmarkLinks(auth.supabase, bookmarks || []);
+    return res.status(200).json({ bookmarks: updated });
+  } catch (error) {
+    console.error('Error checking links:', error);
+    return res.status(500).json({ error: 'Failed to check links' });
+  }
+}
@@ -0,0 +1,56 @@
+import { extractArticleText } from '../../lib/article';
+import { extractMetadata, fetchPage } from '../../lib/metadata';
+import { getUserFromRequest } from '../../lib/supabaseServer';
+import { extractKeywords } from '../../lib/tagSuggestions';
+
+// Fetches a page server-side (avoiding browser CORS) and returns its metadata,
+// plus the keywords of its text for tag suggestions. Signed-in users only, and
+// only public addresses are fetched.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await getUserFromRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+
+  let target;
+  try {
+    const raw = String(req.query.url || '').trim();
+    target = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    if (!['http:', 'https:'].includes(target.protocol)) throw new Error('Unsupported protocol');
+  } catch (error) {
+    return res.status(400).json({ error: 'A valid http(s) URL is required' });
+  }
+
+  try {
+    const page = await fetchPage(target.href);
+    const metadata = extractMetadata(page.html, page.finalUrl);
+
+    return res.status(200).json({
+      url: target.href,
+      finalUrl: page.finalUrl,
+      status: page.status,
+      ...metadata,
+      keywords: extractKeywords(extractArticleText(page.html).text),
+    });
+  } catch (error) {
+    console.error('Error fetching page metadata:', error);
+    // Still answer with something usable so the bookmark can be saved
+    return res.status(200).json({
+      url: target.href,
+      finalUrl: target.href,
+      status: null,
+      title: target.hostname,
+      description: null,
+      image: null,
+      siteName: target.hostname.replace(/^www\./, ''),
+      canonicalUrl: null,
+      lang: null,
+      keywords: [],
+    });
+  }
+}
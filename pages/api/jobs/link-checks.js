@@ -0,0 +1,23 @@
+import { processStaleLinks } from '../../../lib/linkJobs';
+import { createServiceClient, getAccessToken } from '../../../lib/supabaseServer';
+
+// Background job: re-checks links that are due. Call on a schedule with
+// `Authorization: Bearer $CRON_SECRET` (Vercel Cron sends this automatically).
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.CRON_SECRET || getAccessToken(req) !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const stats = await processStaleLinks(createServiceClient());
+    return res.status(200).json(stats);
+  } catch (error) {
+    console.error('Error checking links:', error);
+    return res.status(500).json({ error: 'Failed to check links' });
+  }
+}
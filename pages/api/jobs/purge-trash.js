@@ -0,0 +1,24 @@
+import { createServiceClient, getAccessToken } from '../../../lib/supabaseServer';
+import { purgeExpiredTrash } from '../../../lib/trash';
+
+// Background job: permanently deletes bookmarks that have been in the Trash
+// longer than NEXT_PUBLIC_TRASH_RETENTION_DAYS. Call on a schedule with
+// `Authorization: Bearer $CRON_SECRET` (Vercel Cron sends this automatically).
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.CRON_SECRET || getAccessToken(req) !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const stats = await purgeExpiredTrash(createServiceClient());
+    return res.status(200).json(stats);
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    return res.status(500).json({ error: 'Failed to purge trash' });
+  }
+}
@@ -0,0 +1,18 @@
+import { listProviders } from '../../lib/summarizers';
+import { getUserFromRequest } from '../../lib/supabaseServer';
+
+// Lists the summary providers and whether each is configured on this server,
+// for the default provider setting
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = await getUserFromRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+
+  return res.status(200).json({ providers: listProviders() });
+}
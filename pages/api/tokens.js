@@ -0,0 +1,36 @@
+import { generateApiToken } from '../../lib/apiTokens';
+import { getUserFromRequest } from '../../lib/supabaseServer';
+
+// Creates a personal access token for the signed-in user. The token is only
+// returned here; the database keeps its hash. Listing and revoking happen
+// through the api_tokens table directly (row level security applies).
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // A browser session is required: tokens can't be used to create more tokens
+  const auth = await getUserFromRequest(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 100) {
+    return res.status(400).json({ error: 'Give the token a name (up to 100 characters)' });
+  }
+
+  const { token, hash, prefix } = generateApiToken();
+  const { data, error } = await auth.supabase
+    .from('api_tokens')
+    .insert([{ user_id: auth.user.id, name, token_hash: hash, token_prefix: prefix }])
+    .select('id, name, token_prefix, created_at, last_used_at, revoked_at');
+
+  if (error) {
+    console.error('Error creating access token:', error);
+    return res.status(500).json({ error: 'Failed to create access token' });
+  }
+
+  return res.status(201).json({ token, apiToken: data[0] });
+}
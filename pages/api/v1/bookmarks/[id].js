@@ -0,0 +1,138 @@
+import {
+  BOOKMARK_FIELDS, apiError, apiRoute, checkCollection, isUuid, parseTagInput, requireBody,
+} from '../../../../lib/restApi';
+import { linkHealth, normalizeUrl } from '../../../../lib/urls';
+
+async function loadBookmark(req, auth) {
+  if (!isUuid(req.query.id)) {
+    throw apiError(404, 'not_found', 'Bookmark not found');
+  }
+
+  const { data, error } = await auth.supabase
+    .from('bookmarks')
+    .select(BOOKMARK_FIELDS)
+    .eq('id', req.query.id)
+    .eq('user_id', auth.user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw apiError(404, 'not_found', 'Bookmark not found');
+  return data;
+}
+
+// read_at, archived_at and deleted_at take a timestamp, true for "now", or null to clear
+function parseTimestamp(value, field) {
+  if (value === null) return null;
+  if (value === true) return new Date().toISOString();
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) {
+    return new Date(value).toISOString();
+  }
+  throw apiError(400, 'invalid_field', `${field} must be a timestamp, true or null`);
+}
+
+// Turn a PATCH body into column updates, the same way the dashboard's edit form does
+async function parseChanges(body, bookmark, auth) {
+  const updates = {};
+
+  if ('url' in body) {
+    try {
+      updates.url = normalizeUrl(body.url);
+    } catch (error) {
+      throw apiError(400, 'invalid_url', 'url must be an http(s) URL');
+    }
+    updates.normalized_url = updates.url;
+    // A new URL may no longer be the one the last check was redirected away from
+    updates.link_health = linkHealth({ ...bookmark, url: updates.url });
+  }
+  if ('title' in body) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      throw apiError(400, 'invalid_field', 'title must be a non-empty string');
+    }
+    updates.title = body.title.trim();
+  }
+  if ('summary' in body) {
+    if (body.summary !== null && typeof body.summary !== 'string') {
+      throw apiError(400, 'invalid_field', 'summary must be a string or null');
+    }
+    // Hand-written summaries are recorded as such
+    if (body.summary !== bookmark.summary) {
+      updates.summary = body.summary;
+      updates.summary_provider = 'manual';
+      updates.summary_status = 'ready';
+      updates.summary_error = null;
+    }
+  }
+  if ('tags' in body) {
+    updates.tags = parseTagInput(body.tags);
+  }
+  if ('collection_id' in body) {
+    updates.collection_id = await checkCollection(auth, body.collection_id);
+  }
+  if ('is_favorite' in body) {
+    if (typeof body.is_favorite !== 'boolean') {
+      throw apiError(400, 'invalid_field', 'is_favorite must be true or false');
+    }
+    updates.is_favorite = body.is_favorite;
+  }
+  if ('read_at' in body) {
+    updates.read_at = parseTimestamp(body.read_at, 'read_at');
+  }
+  if ('archived_at' in body) {
+    updates.archived_at = parseTimestamp(body.archived_at, 'archived_at');
+  }
+  if ('deleted_at' in body) {
+    updates.deleted_at = parseTimestamp(body.deleted_at, 'deleted_at');
+  }
+
+  return updates;
+}
+
+// One bookmark of the user's: GET reads it, PATCH changes the given fields
+// (url, title, summary, tags, collection_id, is_favorite, read_at, archived_at,
+// deleted_at), DELETE moves it to the Trash, or removes it with ?permanent=true
+export default apiRoute({
+  GET: async (req, res, auth) => {
+    const bookmark = await loadBookmark(req, auth);
+    return res.status(200).json({ bookmark });
+  },
+
+  PATCH: async (req, res, auth) => {
+    const body = requireBody(req);
+    const bookmark = await loadBookmark(req, auth);
+    const updates = await parseChanges(body, bookmark, auth);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(200).json({ bookmark });
+    }
+
+    const { data, error } = await auth.supabase
+      .from('bookmarks')
+      .update(updates)
+      .eq('id', bookmark.id)
+      .eq('user_id', auth.user.id)
+      .select(BOOKMARK_FIELDS);
+
+    if (error?.code === '23505') {
+      throw apiError(409, 'duplicate', 'Another bookmark already has this URL');
+    }
+    if (error) throw error;
+    if (!data?.length) throw apiError(404, 'not_found', 'Bookmark not found');
+
+    return res.status(200).json({ bookmark: data[0] });
+  },
+
+  DELETE: async (req, res, auth) => {
+    const bookmark = await loadBookmark(req, auth);
+    const table = auth.supabase.from('bookmarks');
+    const query = req.query.permanent === 'true'
+      ? table.delete()
+      : table.update({ deleted_at: bookmark.deleted_at || new Date().toISOString() });
+
+    const { error } = await query
+      .eq('id', bookmark.id)
+      .eq('user_id', auth.user.id);
+
+    if (error) throw error;
+    return res.status(204).end();
+  },
+});
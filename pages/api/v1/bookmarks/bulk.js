@@ -0,0 +1,172 @@
+import { applyTagFilter } from '../../../../lib/bookmarkQuery';
+import {
+  BOOKMARK_FIELDS, apiError, apiRoute, applyFilters, checkCollection, isUuid, parseFilters, parseTagInput,
+  requireBody, toApiBookmark,
+} from '../../../../lib/restApi';
+import { processSummary } from '../../../../lib/summaryJobs';
+
+// Largest selection one request may act on
+const MAX_BULK_IDS = 5000;
+// Matching ids are read a page at a time (PostgREST caps rows per request)
+const ID_PAGE_SIZE = 1000;
+// Rows are loaded by id in chunks so each request URL stays short
+const ROW_CHUNK_SIZE = 100;
+// Summaries are generated here until this much time has passed, cutting the
+// one in progress short; the summary job picks up the rest of the queue
+const SUMMARY_TIME_BUDGET_MS = 8000;
+
+// Actions run by bulk_update_bookmarks() (see README SQL). Delete moves
+// bookmarks to the Trash; restore and purge take them back out or delete them for good.
+const UPDATE_ACTIONS = ['delete', 'restore', 'purge', 'add_tags', 'remove_tags', 'move', 'mark_read', 'mark_unread', 'archive', 'unarchive', 'summarize'];
+const ACTIONS = [...UPDATE_ACTIONS, 'export'];
+
+function parseIds(value, field) {
+  if (!Array.isArray(value) || !value.every(isUuid)) {
+    throw apiError(400, 'invalid_selection', `${field} must be an array of bookmark ids`);
+  }
+  return [...new Set(value)];
+}
+
+// The selection is either explicit ids, or everything matching a filter (the
+// same parameters as GET /api/v1/bookmarks) minus `except`
+async function resolveSelection(auth, body) {
+  if (body.ids !== undefined) {
+    const ids = parseIds(body.ids, 'ids');
+    if (ids.length === 0 || ids.length > MAX_BULK_IDS) {
+      throw apiError(400, 'invalid_selection', `Select between 1 and ${MAX_BULK_IDS} bookmarks`);
+    }
+    return ids;
+  }
+
+  if (!body.filter || typeof body.filter !== 'object' || Array.isArray(body.filter)) {
+    throw apiError(400, 'invalid_selection', 'Send ids, or a filter to act on every matching bookmark');
+  }
+  const filters = parseFilters(body.filter);
+  const except = new Set(body.except === undefined ? [] : parseIds(body.except, 'except'));
+
+  let ids = [];
+  if (filters.q) {
+    const { data: matches, error } = await auth.supabase.rpc('search_bookmarks', {
+      p_query: filters.q,
+      p_tags: filters.include.length > 0 ? filters.include : null,
+      p_match_all: filters.mode === 'all',
+      p_exclude: filters.exclude.length > 0 ? filters.exclude : null,
+      p_trash: filters.view === 'trash',
+    });
+    if (error) throw error;
+    if (matches?.length) {
+      const query = await applyFilters(auth.supabase.from('bookmarks').select('id'), filters, auth);
+      const { data, error: bookmarksError } = await query.in('id', matches.map(match => match.id));
+      if (bookmarksError) throw bookmarksError;
+      ids = data.map(row => row.id);
+    }
+  } else {
+    for (let from = 0; ; from += ID_PAGE_SIZE) {
+      const query = applyTagFilter(await applyFilters(auth.supabase.from('bookmarks').select('id'), filters, auth), filters);
+      const { data, error } = await query.order('id').range(from, from + ID_PAGE_SIZE - 1);
+      if (error) throw error;
+      ids.push(...data.map(row => row.id));
+      if (data.length < ID_PAGE_SIZE || ids.length > MAX_BULK_IDS) break;
+    }
+  }
+
+  ids = ids.filter(id => !except.has(id));
+  if (ids.length > MAX_BULK_IDS) {
+    throw apiError(400, 'invalid_selection', `More than ${MAX_BULK_IDS} bookmarks match; narrow the filter`);
+  }
+  return ids;
+}
+
+// Full rows of the selection, in list order
+async function loadRows(auth, ids, columns) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ROW_CHUNK_SIZE) {
+    const { data, error } = await auth.supabase
+      .from('bookmarks')
+      .select(columns)
+      .eq('user_id', auth.user.id)
+      .in('id', ids.slice(i, i + ROW_CHUNK_SIZE));
+    if (error) throw error;
+    rows.push(...data);
+  }
+  return rows.sort((a, b) =>
+    (a.position ?? Infinity) - (b.position ?? Infinity) || (b.created_at || '').localeCompare(a.created_at || '')
+  );
+}
+
+// Generate queued summaries one at a time while there is time left. The
+// bulk update already marked them pending, so whatever is cut off stays queued.
+async function summarizeQueued(auth, ids) {
+  const signal = AbortSignal.timeout(SUMMARY_TIME_BUDGET_MS);
+  const report = { ready: 0, failed: 0, queued: ids.length };
+
+  for (const id of ids) {
+    if (signal.aborted) break;
+    const [bookmark] = await loadRows(auth, [id], '*');
+    if (!bookmark) {
+      report.queued--;
+      continue;
+    }
+
+    try {
+      const updated = await processSummary(auth.supabase, bookmark, { resetAttempts: true, signal });
+      report.queued--;
+      if (updated.summary_status === 'ready') report.ready++;
+      else report.failed++;
+    } catch (error) {
+      if (signal.aborted) break;
+      report.queued--;
+      console.error('Error generating summary for bookmark', id, error);
+      report.failed++;
+    }
+  }
+
+  return report;
+}
+
+// Act on many bookmarks in one request: { action, ids } or { action, filter, except? },
+// plus `tags` for add_tags/remove_tags and `collection_id` (or null) for move.
+// Answers { action, selected, changed: [ids] }; summarize adds a `summaries`
+// report and export returns the selected `bookmarks`.
+export default apiRoute({
+  POST: async (req, res, auth) => {
+    const body = requireBody(req);
+    const { action } = body;
+    if (!ACTIONS.includes(action)) {
+      throw apiError(400, 'invalid_action', `action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const tags = ['add_tags', 'remove_tags'].includes(action) ? parseTagInput(body.tags) : null;
+    if (tags && tags.length === 0) {
+      throw apiError(400, 'invalid_tags', 'Give at least one tag');
+    }
+    const collectionId = action === 'move'
+      ? await checkCollection(auth, body.collection_id ?? null)
+      : null;
+
+    const ids = await resolveSelection(auth, body);
+
+    if (action === 'export') {
+      const bookmarks = await loadRows(auth, ids, BOOKMARK_FIELDS);
+      return res.status(200).json({ action, selected: ids.length, changed: [], bookmarks: bookmarks.map(toApiBookmark) });
+    }
+
+    if (ids.length === 0) {
+      return res.status(200).json({ action, selected: 0, changed: [] });
+    }
+
+    const { data: changed, error } = await auth.supabase.rpc('bulk_update_bookmarks', {
+      p_ids: ids,
+      p_action: action,
+      p_tags: tags,
+      p_collection: collectionId,
+    });
+    if (error) throw error;
+
+    const result = { action, selected: ids.length, changed: (changed || []).map(row => row.bookmark_id) };
+    if (action === 'summarize') {
+      result.summaries = await summarizeQueued(auth, result.changed);
+    }
+    return res.status(200).json(result);
+  },
+});
@@ -0,0 +1,125 @@
+import { applyTagFilter } from '../../../../lib/bookmarkQuery';
+import {
+  BOOKMARK_FIELDS, apiError, apiRoute, applyFilters, checkCollection, decodeCursor, encodeCursor, isUuid, parseFilters,
+  parseLimit, parseTagInput, requireBody, toApiBookmark,
+} from '../../../../lib/restApi';
+import { fetchPageMetadata } from '../../../../lib/metadata';
+import { saveBookmark } from '../../../../lib/saveBookmark';
+import { processSummary } from '../../../../lib/summaryJobs';
+import { normalizeUrl } from '../../../../lib/urls';
+
+// Newest first, paged by (created_at, id)
+async function listBookmarks(auth, filters, limit, cursor) {
+  let query = applyTagFilter(
+    await applyFilters(auth.supabase.from('bookmarks').select(BOOKMARK_FIELDS), filters, auth),
+    filters
+  );
+  if (cursor) {
+    if (!/^[\d\-T:.+Z ]+$/.test(cursor.created_at) || !isUuid(cursor.id)) {
+      throw apiError(400, 'invalid_cursor', 'cursor is not valid; pass next_cursor from a previous page');
+    }
+    query = query.or(`created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt.${cursor.id})`);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+  if (error) throw error;
+
+  const page = data.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    bookmarks: page,
+    next_cursor: data.length > limit ? encodeCursor({ created_at: last.created_at, id: last.id }) : null,
+  };
+}
+
+// Best matches first, paged by offset into the ranked results
+async function searchBookmarks(auth, filters, limit, cursor) {
+  const offset = cursor ? cursor.offset : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw apiError(400, 'invalid_cursor', 'cursor is not valid; pass next_cursor from a previous page');
+  }
+
+  const { data: matches, error } = await auth.supabase.rpc('search_bookmarks', {
+    p_query: filters.q,
+    p_tags: filters.include.length > 0 ? filters.include : null,
+    p_match_all: filters.mode === 'all',
+    p_exclude: filters.exclude.length > 0 ? filters.exclude : null,
+    p_trash: filters.view === 'trash',
+  });
+  if (error) throw error;
+  if (!matches?.length) return { bookmarks: [], next_cursor: null };
+
+  const query = await applyFilters(auth.supabase.from('bookmarks').select(BOOKMARK_FIELDS), filters, auth);
+  const { data, error: bookmarksError } = await query.in('id', matches.map(match => match.id));
+  if (bookmarksError) throw bookmarksError;
+
+  const byId = new Map(data.map(bookmark => [bookmark.id, bookmark]));
+  const ranked = matches.map(match => byId.get(match.id)).filter(Boolean);
+  return {
+    bookmarks: ranked.slice(offset, offset + limit),
+    next_cursor: ranked.length > offset + limit ? encodeCursor({ offset: offset + limit }) : null,
+  };
+}
+
+// GET lists the user's bookmarks: ?q= searches, ?tags=a,b&mode=all&not=c filter
+// by tag, ?collection=, ?view= and ?links= match the sidebar and tabs (?view=trash
+// lists deleted bookmarks, which every other view leaves out). POST saves one.
+export default apiRoute({
+  GET: async (req, res, auth) => {
+    const filters = parseFilters(req.query);
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    const result = filters.q
+      ? await searchBookmarks(auth, filters, limit, cursor)
+      : await listBookmarks(auth, filters, limit, cursor);
+    return res.status(200).json(result);
+  },
+
+  POST: async (req, res, auth) => {
+    const body = requireBody(req);
+    if (typeof body.url !== 'string' || !body.url.trim()) {
+      throw apiError(400, 'invalid_url', 'url is required');
+    }
+    try {
+      normalizeUrl(body.url);
+    } catch (error) {
+      throw apiError(400, 'invalid_url', 'url must be an http(s) URL');
+    }
+    if (body.title !== undefined && body.title !== null && typeof body.title !== 'string') {
+      throw apiError(400, 'invalid_title', 'title must be a string');
+    }
+
+    const tags = parseTagInput(body.tags);
+    const collectionId = await checkCollection(auth, body.collection_id ?? null);
+
+    const result = await saveBookmark(auth.supabase, auth.user.id, {
+      url: body.url,
+      title: body.title,
+      tags,
+      collectionId,
+    }, { loadMetadata: fetchPageMetadata, useDefaultTags: true });
+
+    if (result.duplicate) {
+      return res.status(409).json({
+        error: 'This URL is already saved',
+        code: 'duplicate',
+        bookmark: toApiBookmark(result.bookmark),
+      });
+    }
+    // Answer right away with summary_status 'pending', then generate the summary
+    // and snapshot before the handler returns. A failure is recorded on the
+    // bookmark and retried by the background job.
+    res.status(201).json({ bookmark: toApiBookmark(result.bookmark) });
+    if (result.restored) return;
+
+    try {
+      await processSummary(auth.supabase, result.bookmark);
+    } catch (error) {
+      console.error('Error generating summary:', error);
+    }
+  },
+});
@@ -0,0 +1,32 @@
+import { apiError, apiRoute, requireBody } from '../../../../lib/restApi';
+import { parseTags } from '../../../../lib/utils';
+
+// PATCH { name } renames a tag on every bookmark; renaming onto a tag that
+// already exists merges the two. DELETE removes the tag from every bookmark.
+// Both answer with the number of bookmarks changed.
+export default apiRoute({
+  PATCH: async (req, res, auth) => {
+    const body = requireBody(req);
+    const [name] = parseTags(typeof body.name === 'string' ? body.name : '');
+    if (!name || parseTags(body.name).length > 1) {
+      throw apiError(400, 'invalid_field', 'name must be a single tag name');
+    }
+
+    const { data: updated, error } = await auth.supabase.rpc('merge_tags', {
+      p_from: [req.query.tag],
+      p_to: name,
+    });
+    if (error) throw error;
+    if (!updated) throw apiError(404, 'not_found', 'No bookmarks have this tag');
+
+    return res.status(200).json({ tag: name, bookmarks_updated: updated });
+  },
+
+  DELETE: async (req, res, auth) => {
+    const { data: updated, error } = await auth.supabase.rpc('delete_tag', { p_tag: req.query.tag });
+    if (error) throw error;
+    if (!updated) throw apiError(404, 'not_found', 'No bookmarks have this tag');
+
+    return res.status(200).json({ tag: req.query.tag, bookmarks_updated: updated });
+  },
+});
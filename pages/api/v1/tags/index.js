@@ -0,0 +1,11 @@
+import { apiRoute } from '../../../../lib/restApi';
+
+// Every tag the user has, with how many bookmarks use it (most used first)
+export default apiRoute({
+  GET: async (req, res, auth) => {
+    const { data, error } = await auth.supabase.rpc('tag_counts');
+    if (error) throw error;
+
+    return res.status(200).json({ tags: data || [] });
+  },
+});
@@ -1,10 +1,19 @@
+import { useEffect } from 'react';
 import Head from "next/head";
+import { useRouter } from 'next/router';
 import { useAuth } from '../contexts/AuthContext';
 import AuthForm from '../components/AuthForm';
 import Dashboard from '../components/Dashboard';
 
 export default function Home() {
-  const { user, loading } = useAuth();
+  const { user, loading, passwordRecovery } = useAuth();
+  const router = useRouter();
+
+  // A reset link that came back here (e.g. /reset-password isn't an allowed
+  // redirect URL) still gets the user to the new password form
+  useEffect(() => {
+    if (passwordRecovery) router.replace('/reset-password');
+  }, [passwordRecovery, router]);
 
   // Show loading state
   if (loading) {
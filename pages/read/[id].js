@@ -0,0 +1,187 @@
+import { useCallback, useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { ArrowLeftIcon, ExternalLinkIcon, MoonIcon, RefreshCwIcon, SunIcon } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { supabase } from '../../lib/supabase';
+import { requestSnapshot } from '../../lib/utils';
+import AuthForm from '../../components/AuthForm';
+
+export default function Reader() {
+  const router = useRouter();
+  const { id } = router.query;
+  const { user, loading: authLoading } = useAuth();
+  const { isDarkMode, toggleTheme } = useTheme();
+  const [bookmark, setBookmark] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [capturing, setCapturing] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSnapshot = useCallback(async () => {
+    try {
+      const [{ data: bookmarkRow, error: bookmarkError }, { data: snapshotRow, error: snapshotError }] = await Promise.all([
+        supabase.from('bookmarks').select('*').eq('id', id).maybeSingle(),
+        supabase.from('bookmark_snapshots').select('html, source_url, captured_at').eq('bookmark_id', id).maybeSingle(),
+      ]);
+
+      if (bookmarkError) throw bookmarkError;
+      if (snapshotError) throw snapshotError;
+      setBookmark(bookmarkRow);
+      setSnapshot(snapshotRow);
+
+      // Reading the snapshot counts as opening the link
+      if (bookmarkRow && !bookmarkRow.read_at) {
+        await supabase
+          .from('bookmarks')
+          .update({ read_at: new Date().toISOString() })
+          .eq('id', bookmarkRow.id);
+      }
+    } catch (error) {
+      console.error('Error loading snapshot:', error);
+      setError('Failed to load this bookmark');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (user && id) {
+      loadSnapshot();
+    }
+  }, [user, id, loadSnapshot]);
+
+  const recapture = async () => {
+    setCapturing(true);
+    setError('');
+
+    try {
+      await requestSnapshot(bookmark.id);
+    } catch (error) {
+      console.error('Error capturing snapshot:', error);
+      setError(`Could not capture the page: ${error.message}`);
+    } finally {
+      await loadSnapshot();
+      setCapturing(false);
+    }
+  };
+
+  const title = bookmark ? `${bookmark.title} - Link Saver` : 'Reader - Link Saver';
+
+  if (authLoading || (user && loading)) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+          <div className="text-lg text-gray-600 dark:text-gray-400">Loading...</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <>
+        <Head>
+          <title>{title}</title>
+        </Head>
+        <AuthForm />
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{title}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="referrer" content="no-referrer" />
+      </Head>
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
+        <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+          <div className="max-w-3xl mx-auto px-4 py-3 flex justify-between items-center gap-4">
+            <Link
+              href="/"
+              className="flex items-center gap-2 text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+            >
+              <ArrowLeftIcon size={16} />
+              Bookmarks
+            </Link>
+            <div className="flex items-center gap-2">
+              {bookmark && (
+                <button
+                  onClick={recapture}
+                  disabled={capturing}
+                  className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-50 transition-colors"
+                  title="Capture the page again"
+                >
+                  <RefreshCwIcon size={18} className={capturing ? 'animate-spin' : ''} />
+                </button>
+              )}
+              <button
+                onClick={toggleTheme}
+                className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                title={isDarkMode ? 'Switch to light mode' : 'Switch to dark mode'}
+              >
+                {isDarkMode ? <SunIcon size={18} /> : <MoonIcon size={18} />}
+              </button>
+            </div>
+          </div>
+        </header>
+
+        <main className="max-w-3xl mx-auto px-4 py-10">
+          {!bookmark ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 text-lg">
+              {error || 'This bookmark does not exist or was deleted.'}
+            </p>
+          ) : (
+            <article>
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white leading-tight mb-3">{bookmark.title}</h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-8 flex flex-wrap items-center gap-x-2">
+                {bookmark.site_name && <span>{bookmark.site_name}</span>}
+                {bookmark.reading_minutes > 0 && <span>· {bookmark.reading_minutes} min read</span>}
+                {snapshot && <span>· Saved {new Date(snapshot.captured_at).toLocaleDateString()}</span>}
+                <a
+                  href={bookmark.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-500 hover:text-blue-600 dark:text-blue-400 flex items-center gap-1"
+                >
+                  · Original
+                  <ExternalLinkIcon size={12} />
+                </a>
+              </p>
+
+              {error && (
+                <p className="mb-6 text-red-600 dark:text-red-400 text-sm">{error}</p>
+              )}
+
+              {snapshot ? (
+                // Sanitized when captured: only allow-listed tags and http(s) links (lib/article.js)
+                <div className="reader-content" dangerouslySetInnerHTML={{ __html: snapshot.html }} />
+              ) : (
+                <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-12 text-center transition-colors duration-200">
+                  <p className="text-gray-500 dark:text-gray-400 text-lg">
+                    {bookmark.snapshot_error ? 'The page could not be saved for offline reading.' : 'No offline copy yet.'}
+                  </p>
+                  {bookmark.snapshot_error && (
+                    <p className="text-gray-400 dark:text-gray-500 mt-2 text-sm">{bookmark.snapshot_error}</p>
+                  )}
+                  <button
+                    onClick={recapture}
+                    disabled={capturing}
+                    className="mt-6 bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {capturing ? 'Capturing...' : 'Capture now'}
+                  </button>
+                </div>
+              )}
+            </article>
+          )}
+        </main>
+      </div>
+    </>
+  );
+}
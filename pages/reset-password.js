@@ -0,0 +1,175 @@
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { CheckCircleIcon, MoonIcon, SunIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { MIN_PASSWORD_LENGTH, authErrorFromUrl } from '../lib/auth';
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-colors';
+
+// Where the password reset email leads. Supabase signs the user in from the
+// link's token, and this page lets them choose a new password.
+export default function ResetPassword() {
+  const { user, loading: authLoading, updatePassword } = useAuth();
+  const { isDarkMode, toggleTheme } = useTheme();
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
+  const [linkError, setLinkError] = useState(null);
+
+  // An expired or already used link comes back with an error instead of a session
+  useEffect(() => {
+    setLinkError(authErrorFromUrl());
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Use at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (password !== confirmation) {
+      setError('The passwords don\'t match.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { error } = await updatePassword(password);
+      if (error) throw error;
+      setSaved(true);
+    } catch (error) {
+      console.error('Error updating password:', error);
+      setError(error.message || 'Failed to update password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  let content;
+  if (authLoading) {
+    content = (
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+        <div className="text-lg text-gray-600 dark:text-gray-400">Loading...</div>
+      </div>
+    );
+  } else if (!user) {
+    content = (
+      <div className="space-y-6 text-center">
+        <div role="alert" className="bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg transition-colors">
+          {linkError || 'This password reset link is invalid or has expired.'}
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Request a new one with <strong>Forgot your password?</strong> on the sign-in page.
+        </p>
+        <Link href="/" className="text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 text-sm transition-colors">
+          Back to sign in
+        </Link>
+      </div>
+    );
+  } else if (saved) {
+    content = (
+      <div role="status" className="space-y-6 text-center">
+        <p className="flex items-center justify-center gap-2 text-green-700 dark:text-green-300">
+          <CheckCircleIcon size={20} />
+          Your password has been changed.
+        </p>
+        <Link
+          href="/"
+          className="inline-block py-3 px-4 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+        >
+          Continue to your bookmarks
+        </Link>
+      </div>
+    );
+  } else {
+    content = (
+      <form className="space-y-6" onSubmit={handleSubmit}>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Choose a new password for {user.email}.
+        </p>
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 transition-colors">
+              New password
+            </label>
+            <input
+              id="new-password"
+              type="password"
+              autoComplete="new-password"
+              required
+              minLength={MIN_PASSWORD_LENGTH}
+              autoFocus
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 transition-colors">
+              Confirm new password
+            </label>
+            <input
+              id="confirm-password"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        {error && (
+          <div role="alert" className="bg-red-50 dark:bg-red-900 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg transition-colors">
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving && (
+            <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+          )}
+          {saving ? 'Please wait...' : 'Change password'}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Reset password - Link Saver</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 transition-colors duration-200">
+        <div className="max-w-md w-full space-y-8">
+          <div className="flex justify-end">
+            <button
+              onClick={toggleTheme}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              title={isDarkMode ? 'Switch to light mode' : 'Switch to dark mode'}
+            >
+              {isDarkMode ? <SunIcon size={20} /> : <MoonIcon size={20} />}
+            </button>
+          </div>
+          <h2 className="text-center text-3xl font-bold text-gray-900 dark:text-white transition-colors">
+            Reset your password
+          </h2>
+          {content}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,193 @@
+import { useEffect, useRef, useState } from 'react';
+import Head from 'next/head';
+import Image from 'next/image';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { CheckCircleIcon, InfoIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { parseTags, requestSummary, saveBookmarkTags, saveLink } from '../lib/utils';
+import AuthForm from '../components/AuthForm';
+
+// Quick-save target for the bookmarklet: /save?url=&title=&tags=
+export default function Save() {
+  const router = useRouter();
+  const { user, loading: authLoading } = useAuth();
+  const [bookmark, setBookmark] = useState(null);
+  const [duplicate, setDuplicate] = useState(false);
+  const [tags, setTags] = useState('');
+  const [tagsSaved, setTagsSaved] = useState(false);
+  const [savingTags, setSavingTags] = useState(false);
+  const [error, setError] = useState('');
+  const started = useRef(false);
+
+  const url = typeof router.query.url === 'string' ? router.query.url : '';
+
+  useEffect(() => {
+    if (!router.isReady || !user || !url || started.current) return;
+    started.current = true;
+
+    const { title, tags: tagParam } = router.query;
+    const requestedTags = parseTags(typeof tagParam === 'string' ? tagParam : '');
+
+    saveLink({ url, title: typeof title === 'string' ? title : undefined, tags: requestedTags })
+      .then((result) => {
+        setBookmark(result.bookmark);
+        setDuplicate(result.duplicate);
+        // For a link that was already saved, offer the new tags on top of its own
+        const allTags = Array.from(new Set([...(result.bookmark.tags || []), ...requestedTags]));
+        setTags(allTags.join(', '));
+        setTagsSaved(!result.duplicate || allTags.length === (result.bookmark.tags || []).length);
+
+        // The link is saved; the summary follows when it's ready
+        if (!result.duplicate && result.bookmark.summary_status === 'pending') {
+          requestSummary(result.bookmark.id)
+            .then(updated => setBookmark(prev => ({ ...prev, ...updated })))
+            .catch(error => console.error('Error generating summary:', error));
+        }
+      })
+      .catch((error) => {
+        console.error('Error saving link:', error);
+        setError(error.code === 'invalid_url' ? 'This page can\'t be saved: it isn\'t an http(s) link.' : 'Failed to save the link. Please try again.');
+      });
+  }, [router.isReady, router.query, user, url]);
+
+  const updateTags = async (e) => {
+    e.preventDefault();
+    setSavingTags(true);
+    setError('');
+
+    try {
+      const updated = await saveBookmarkTags(bookmark.id, parseTags(tags));
+      setBookmark(updated);
+      setTags(updated.tags.join(', '));
+      setTagsSaved(true);
+    } catch (error) {
+      console.error('Error saving tags:', error);
+      setError('Failed to save tags');
+    } finally {
+      setSavingTags(false);
+    }
+  };
+
+  const head = (
+    <Head>
+      <title>Save to Link Saver</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+      <meta name="robots" content="noindex" />
+    </Head>
+  );
+
+  if (authLoading) {
+    return (
+      <>
+        {head}
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      </>
+    );
+  }
+
+  if (!user) {
+    return (
+      <>
+        {head}
+        <AuthForm />
+      </>
+    );
+  }
+
+  return (
+    <>
+      {head}
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-start sm:items-center justify-center p-4 transition-colors duration-200">
+        <div className="w-full max-w-md bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 transition-colors duration-200">
+          {!url ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Nothing to save. Use the bookmarklet from <Link href="/settings" className="text-blue-600 dark:text-blue-400">Settings</Link> on the page you want to keep.
+            </p>
+          ) : !bookmark ? (
+            error ? (
+              <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            ) : (
+              <div className="flex items-center gap-3 text-gray-600 dark:text-gray-300">
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+                <span className="text-sm">Saving and summarizing...</span>
+              </div>
+            )
+          ) : (
+            <>
+              <p className={`flex items-center gap-2 text-sm font-medium mb-4 ${
+                duplicate ? 'text-amber-700 dark:text-amber-300' : 'text-green-700 dark:text-green-400'
+              }`}>
+                {duplicate ? <InfoIcon size={16} /> : <CheckCircleIcon size={16} />}
+                {duplicate ? 'Already in your bookmarks' : 'Saved to Link Saver'}
+              </p>
+
+              <div className="flex items-center gap-3 mb-1">
+                {bookmark.favicon && (
+                  <Image
+                    src={bookmark.favicon}
+                    alt=""
+                    width={20}
+                    height={20}
+                    className="w-5 h-5 flex-shrink-0"
+                    onError={(e) => {
+                      e.currentTarget.src = '/favicon.ico';
+                    }}
+                  />
+                )}
+                <p className="font-semibold text-gray-900 dark:text-white truncate">{bookmark.title}</p>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 truncate mb-3">{bookmark.url}</p>
+              {bookmark.summary ? (
+                <p className="text-sm text-gray-600 dark:text-gray-300 line-clamp-3 mb-4">{bookmark.summary}</p>
+              ) : bookmark.summary_status === 'pending' && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">The summary will be ready shortly.</p>
+              )}
+
+              <form onSubmit={updateTags} className="flex gap-2">
+                <input
+                  type="text"
+                  value={tags}
+                  onChange={(e) => {
+                    setTags(e.target.value);
+                    setTagsSaved(false);
+                  }}
+                  placeholder="Tags (comma separated)"
+                  aria-label="Tags"
+                  className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm transition-colors"
+                  disabled={savingTags}
+                  autoFocus
+                />
+                <button
+                  type="submit"
+                  disabled={savingTags || tagsSaved}
+                  className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed text-sm transition-colors"
+                >
+                  {savingTags ? 'Saving...' : tagsSaved ? 'Saved' : 'Save tags'}
+                </button>
+              </form>
+
+              {error && (
+                <p className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>
+              )}
+
+              <div className="mt-5 flex justify-between text-sm">
+                <Link href="/" className="text-blue-600 hover:text-blue-500 dark:text-blue-400">
+                  Open Link Saver
+                </Link>
+                <button
+                  onClick={() => window.close()}
+                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                >
+                  Close
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,119 @@
+import { useCallback, useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { ArrowLeftIcon, MoonIcon, SunIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import ApiTokens from '../components/ApiTokens';
+import AuthForm from '../components/AuthForm';
+import Bookmarklet from '../components/Bookmarklet';
+import DefaultSettings from '../components/DefaultSettings';
+import DeleteAccount from '../components/DeleteAccount';
+import PasswordSettings from '../components/PasswordSettings';
+import ProfileSettings from '../components/ProfileSettings';
+import SessionSettings from '../components/SessionSettings';
+import { supabase } from '../lib/supabase';
+import { fetchUserSettings, saveUserSettings } from '../lib/userSettings';
+
+export default function Settings() {
+  const { user, loading } = useAuth();
+  const { isDarkMode, toggleTheme } = useTheme();
+  const [settings, setSettings] = useState(null);
+  const [settingsError, setSettingsError] = useState('');
+
+  useEffect(() => {
+    if (!user) return;
+
+    const loadSettings = async () => {
+      try {
+        setSettings(await fetchUserSettings(supabase, user.id));
+      } catch (error) {
+        console.error('Error loading settings:', error);
+        setSettingsError('Failed to load settings');
+      }
+    };
+
+    loadSettings();
+  }, [user]);
+
+  const handleSave = useCallback(async (changes) => {
+    const saved = await saveUserSettings(supabase, user.id, changes);
+    setSettings(saved);
+    return saved;
+  }, [user?.id]);
+
+  const head = (
+    <Head>
+      <title>Settings - Link Saver</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+    </Head>
+  );
+
+  if (loading) {
+    return (
+      <>
+        {head}
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+            <div className="text-lg text-gray-600 dark:text-gray-400">Loading...</div>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  if (!user) {
+    return (
+      <>
+        {head}
+        <AuthForm />
+      </>
+    );
+  }
+
+  return (
+    <>
+      {head}
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
+        <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+          <div className="max-w-3xl mx-auto px-4 py-4 flex justify-between items-center gap-4">
+            <div className="flex items-center gap-4">
+              <Link
+                href="/"
+                className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                title="Back to bookmarks"
+              >
+                <ArrowLeftIcon size={20} />
+              </Link>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Settings</h1>
+            </div>
+            <div className="flex items-center gap-4">
+              <span className="text-gray-600 dark:text-gray-300 text-sm">{settings?.display_name || user.email}</span>
+              <button
+                onClick={toggleTheme}
+                className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                title={isDarkMode ? 'Switch to light mode' : 'Switch to dark mode'}
+              >
+                {isDarkMode ? <SunIcon size={20} /> : <MoonIcon size={20} />}
+              </button>
+            </div>
+          </div>
+        </header>
+
+        <main className="max-w-3xl mx-auto px-4 py-8">
+          {settingsError && (
+            <p role="alert" className="mb-8 text-red-600 dark:text-red-400 text-sm">{settingsError}</p>
+          )}
+          {settings && <ProfileSettings settings={settings} onSave={handleSave} />}
+          <PasswordSettings />
+          {settings && <DefaultSettings settings={settings} onSave={handleSave} />}
+          <Bookmarklet />
+          <ApiTokens />
+          <SessionSettings />
+          <DeleteAccount />
+        </main>
+      </div>
+    </>
+  );
+}
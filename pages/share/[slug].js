@@ -0,0 +1,132 @@
+import Head from 'next/head';
+import Image from 'next/image';
+import { ExternalLinkIcon, MoonIcon, SunIcon } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { createAnonClient } from '../../lib/supabaseServer';
+
+export async function getServerSideProps({ params, res }) {
+  // Revoking or expiring a link must take effect immediately
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const supabase = createAnonClient();
+    const { data: shares, error } = await supabase.rpc('get_share', { p_slug: params.slug });
+    if (error) throw error;
+
+    if (!shares?.length) {
+      res.statusCode = 404;
+      return { props: { share: null, bookmarks: [] } };
+    }
+
+    const { data: bookmarks, error: bookmarksError } = await supabase.rpc('get_shared_bookmarks', { p_slug: params.slug });
+    if (bookmarksError) throw bookmarksError;
+
+    return { props: { share: shares[0], bookmarks: bookmarks || [] } };
+  } catch (error) {
+    console.error('Error loading shared list:', error);
+    res.statusCode = 500;
+    return { props: { share: null, bookmarks: [], failed: true } };
+  }
+}
+
+export default function SharedList({ share, bookmarks, failed = false }) {
+  const { isDarkMode, toggleTheme } = useTheme();
+
+  return (
+    <>
+      <Head>
+        <title>{share ? `${share.title} - Link Saver` : 'Link Saver'}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="robots" content="noindex, nofollow" />
+        <meta name="referrer" content="no-referrer" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
+        <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+          <div className="max-w-3xl mx-auto px-4 py-4 flex justify-between items-center gap-4">
+            <div className="min-w-0">
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white truncate">
+                {share ? share.title : 'Link Saver'}
+              </h1>
+              {share && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Shared reading list · {bookmarks.length} {bookmarks.length === 1 ? 'link' : 'links'}
+                  {share.expires_at && <> · available until {new Date(share.expires_at).toLocaleDateString()}</>}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={toggleTheme}
+              className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              title={isDarkMode ? 'Switch to light mode' : 'Switch to dark mode'}
+            >
+              {isDarkMode ? <SunIcon size={20} /> : <MoonIcon size={20} />}
+            </button>
+          </div>
+        </header>
+
+        <main className="max-w-3xl mx-auto px-4 py-8">
+          {!share ? (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-12 text-center transition-colors duration-200">
+              <p className="text-gray-500 dark:text-gray-400 text-lg">
+                {failed ? 'This list could not be loaded.' : 'This link has expired or is no longer shared.'}
+              </p>
+              <p className="text-gray-400 dark:text-gray-500 mt-2">
+                {failed ? 'Please try again in a moment.' : 'Ask the person who sent it for a new one.'}
+              </p>
+            </div>
+          ) : bookmarks.length === 0 ? (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-12 text-center transition-colors duration-200">
+              <p className="text-gray-500 dark:text-gray-400 text-lg">This list is empty.</p>
+            </div>
+          ) : (
+            <ul className="space-y-4">
+              {bookmarks.map((bookmark) => (
+                <li key={bookmark.url} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 transition-colors duration-200">
+                  <div className="flex items-center gap-3 mb-2">
+                    {bookmark.favicon && (
+                      <Image
+                        src={bookmark.favicon}
+                        alt=""
+                        width={20}
+                        height={20}
+                        className="w-5 h-5 flex-shrink-0"
+                        onError={(e) => {
+                          e.currentTarget.src = '/favicon.ico';
+                        }}
+                      />
+                    )}
+                    <a
+                      href={bookmark.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="font-semibold text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 truncate flex items-center gap-2"
+                    >
+                      {bookmark.title}
+                      <ExternalLinkIcon size={14} className="flex-shrink-0 text-gray-400" />
+                    </a>
+                  </div>
+                  {bookmark.site_name && (
+                    <p className="text-xs uppercase tracking-wide text-gray-400 dark:text-gray-500 mb-1 truncate">{bookmark.site_name}</p>
+                  )}
+                  {bookmark.summary && (
+                    <p className="text-gray-600 dark:text-gray-300 text-sm leading-relaxed break-words whitespace-pre-wrap">{bookmark.summary}</p>
+                  )}
+                  {bookmark.tags?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-3">
+                      {bookmark.tags.map(tag => (
+                        <span key={tag} className="px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-xs rounded-full">
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </main>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,147 @@
+// Drives the email sign-in flows against a local Supabase stack (`supabase start`):
+// a magic link, and a password reset through /reset-password. Each step makes
+// the same auth call as contexts/AuthContext.js, reads the email from the
+// stack's mail catcher and follows its link the way the browser would.
+//
+//   npm run check:auth
+//
+// Uses the stack's defaults; override with NEXT_PUBLIC_SUPABASE_URL,
+// NEXT_PUBLIC_SUPABASE_ANON_KEY (`supabase status` prints it), MAIL_URL and
+// SITE_URL. With the app running (`npm run dev`) it also loads /reset-password.
+// The page's own JavaScript isn't run; the script does what it does instead.
+import { createClient } from '@supabase/supabase-js';
+
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL || 'http://127.0.0.1:54321';
+const ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+const MAIL_URL = (process.env.MAIL_URL || 'http://127.0.0.1:54324').replace(/\/$/, '');
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const MAIL_TIMEOUT_MS = 15000;
+
+if (!ANON_KEY) {
+  console.error('Set NEXT_PUBLIC_SUPABASE_ANON_KEY to the anon key `supabase status` prints.');
+  process.exit(1);
+}
+
+// Like lib/supabase.js: implicit flow, so links come back with tokens in the hash
+function createAuthClient() {
+  return createClient(SUPABASE_URL, ANON_KEY, {
+    auth: { flowType: 'implicit', persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+  });
+}
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function getJson(url) {
+  const response = await fetch(url);
+  check(response.ok, `${url} responded with status ${response.status}`);
+  return response.json();
+}
+
+// The newest email to `email` with a body, from Inbucket or Mailpit (newer CLI versions)
+async function latestEmailBody(email, { after }) {
+  const mailbox = email.split('@')[0];
+  const deadline = Date.now() + MAIL_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const inbucket = await fetch(`${MAIL_URL}/api/v1/mailbox/${mailbox}`);
+    if (inbucket.ok) {
+      const messages = (await inbucket.json()).filter(message => new Date(message.date) >= after);
+      if (messages.length > 0) {
+        const { body } = await getJson(`${MAIL_URL}/api/v1/mailbox/${mailbox}/${messages[messages.length - 1].id}`);
+        return `${body.html || ''}\n${body.text || ''}`;
+      }
+    } else {
+      const { messages = [] } = await getJson(`${MAIL_URL}/api/v1/search?query=${encodeURIComponent(`to:${email}`)}`);
+      const recent = messages.filter(message => new Date(message.Created) >= after);
+      if (recent.length > 0) {
+        const message = await getJson(`${MAIL_URL}/api/v1/message/${recent[0].ID}`);
+        return `${message.HTML || ''}\n${message.Text || ''}`;
+      }
+    }
+    await sleep(500);
+  }
+  throw new Error(`No email for ${email} arrived within ${MAIL_TIMEOUT_MS / 1000}s`);
+}
+
+// Follow the email's verify link like a browser would, up to the redirect back to the app
+async function followEmailLink(body) {
+  const match = body.match(/https?:\/\/[^\s"'<>]+\/auth\/v1\/verify\?[^\s"'<>]+/);
+  check(match, 'The email has no sign-in link');
+
+  const response = await fetch(match[0].replace(/&amp;/g, '&'), { redirect: 'manual' });
+  const location = response.headers.get('location');
+  check(location, `The sign-in link responded with status ${response.status} instead of a redirect`);
+
+  const target = new URL(location);
+  const params = new URLSearchParams(target.hash.slice(1));
+  check(!params.get('error'), `The sign-in link failed: ${params.get('error_description') || params.get('error')}`);
+  check(params.get('access_token'), `The sign-in link redirected to ${location} without a session`);
+  return { target, params };
+}
+
+async function step(name, run) {
+  process.stdout.write(`${name}... `);
+  await run();
+  console.log('ok');
+}
+
+async function main() {
+  const email = `auth-check-${Date.now()}@example.com`;
+  const newPassword = `reset-${Math.random().toString(36).slice(2)}`;
+  const auth = createAuthClient().auth;
+
+  await step('Magic link (also creates the account)', async () => {
+    const after = new Date(Date.now() - 1000);
+    const { error } = await auth.signInWithOtp({ email, options: { emailRedirectTo: `${SITE_URL}/` } });
+    check(!error, `signInWithOtp failed: ${error?.message}`);
+
+    const { params } = await followEmailLink(await latestEmailBody(email, { after }));
+    const { data: { user }, error: userError } = await auth.getUser(params.get('access_token'));
+    check(!userError && user?.email === email, 'The magic link session is not for the new user');
+  });
+
+  await step('Password reset email opens /reset-password', async () => {
+    const after = new Date(Date.now() - 1000);
+    const { error } = await auth.resetPasswordForEmail(email, { redirectTo: `${SITE_URL}/reset-password` });
+    check(!error, `resetPasswordForEmail failed: ${error?.message}`);
+
+    const { target, params } = await followEmailLink(await latestEmailBody(email, { after }));
+    check(params.get('type') === 'recovery', `Expected a recovery session, got type=${params.get('type')}`);
+    check(
+      target.pathname === '/reset-password',
+      `The reset link went to ${target.origin}${target.pathname}; add ${SITE_URL}/** to the allowed redirect URLs`
+    );
+
+    // The app, if it's running, serves the page the link lands on
+    const page = await fetch(`${SITE_URL}/reset-password`).catch(() => null);
+    if (page) check(page.ok, `/reset-password responded with status ${page.status}`);
+
+    // What /reset-password does once the client picks the session out of the hash
+    const client = createAuthClient().auth;
+    const { error: sessionError } = await client.setSession({
+      access_token: params.get('access_token'),
+      refresh_token: params.get('refresh_token'),
+    });
+    check(!sessionError, `Couldn't use the recovery session: ${sessionError?.message}`);
+    const { error: updateError } = await client.updateUser({ password: newPassword });
+    check(!updateError, `updateUser failed: ${updateError?.message}`);
+  });
+
+  await step('Sign in with the new password', async () => {
+    const { error } = await createAuthClient().auth.signInWithPassword({ email, password: newPassword });
+    check(!error, `signInWithPassword failed: ${error?.message}`);
+  });
+
+  console.log(`All sign-in flows work (test user ${email}).`);
+}
+
+main().catch((error) => {
+  console.log('failed');
+  console.error(error.message);
+  process.exit(1);
+});